@@ -159,3 +159,195 @@ class CartDrawerItems extends CartItems {
 }
 
 customElements.define("cart-drawer-items", CartDrawerItems);
+
+// Products recommended for the latest products in the cart, with one-click add
+class CartDrawerRecommendations extends HTMLElement {
+  // The drawer renders a new rail with every cart change,
+  // the rail that replaces another reuses its request
+  static request = null;
+  static requestKey = null;
+
+  cartUpdateUnsubscriber = undefined;
+
+  constructor() {
+    super();
+
+    this.list = this.querySelector("[data-cart-recommendations]");
+    this.errorMessage = this.querySelector("[data-cart-recommendations-error]");
+    this.addEventListener("click", this.onClick.bind(this));
+  }
+
+  connectedCallback() {
+    this.cartUpdateUnsubscriber = subscribe(
+      PUB_SUB_EVENTS.cartUpdate,
+      (event) => this.onCartUpdate(event)
+    );
+    this.load(
+      this.dataset.productIds.split(",").filter(Boolean),
+      this.dataset.cartProductIds
+    );
+  }
+
+  disconnectedCallback() {
+    if (this.cartUpdateUnsubscriber) {
+      this.cartUpdateUnsubscriber();
+    }
+  }
+
+  onCartUpdate(event) {
+    return CartStore.forUpdate(event.cartData)
+      .then((cart) => {
+        const productIds = cart.items
+          .filter(
+            (item) =>
+              item.properties?._is_free_gift !== "true" &&
+              item.properties?._is_free_sample !== "true"
+          )
+          .map((item) => String(item.product_id));
+        const cartProductIds = cart.items
+          .map((item) => item.product_id)
+          .join(",");
+
+        return this.load(productIds, cartProductIds);
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  // Up to three of the latest products in the cart, gifts and samples aside
+  load(productIds, cartProductIds) {
+    const seedIds = [...new Set(productIds)].slice(0, 3);
+    const key = `${seedIds.join(",")}|${cartProductIds}`;
+    if (key === this.renderedKey) return Promise.resolve();
+    this.renderedKey = key;
+
+    if (CartDrawerRecommendations.requestKey !== key) {
+      CartDrawerRecommendations.requestKey = key;
+      CartDrawerRecommendations.request = Promise.all(
+        seedIds.map((productId) => this.fetchRecommendations(productId))
+      );
+    }
+
+    return CartDrawerRecommendations.request.then((responses) => {
+      // A newer cart is on its way
+      if (key !== this.renderedKey) return;
+      this.renderItems(responses);
+    });
+  }
+
+  fetchRecommendations(productId) {
+    const params = new URLSearchParams({
+      product_id: productId,
+      limit: this.dataset.limit,
+      intent: this.dataset.intent,
+      section_id: "cart-drawer-recommendations",
+    });
+
+    return fetch(`${routes.product_recommendations_url}?${params}`)
+      .then((response) => {
+        if (!response.ok)
+          throw new Error(`Recommendations request failed: ${response.status}`);
+        return response.text();
+      })
+      .catch((e) => {
+        console.error(e);
+        return "";
+      });
+  }
+
+  // Takes from each list in turn, every product in the cart gets a turn
+  renderItems(responses) {
+    const lists = responses.map((responseText) =>
+      Array.from(
+        new DOMParser()
+          .parseFromString(responseText, "text/html")
+          .querySelectorAll("[data-product-id]")
+      )
+    );
+    const limit = parseInt(this.dataset.limit);
+    const items = new Map();
+
+    for (let index = 0; items.size < limit; index++) {
+      const row = lists.map((list) => list[index]).filter(Boolean);
+      if (row.length === 0) break;
+
+      row.forEach((item) => {
+        if (items.size < limit && !items.has(item.dataset.productId))
+          items.set(item.dataset.productId, item);
+      });
+    }
+
+    this.list.replaceChildren(...items.values());
+    this.hidden = items.size === 0;
+  }
+
+  onClick(event) {
+    const button = event.target.closest("[data-variant-id]");
+    if (!button || button.getAttribute("aria-disabled") === "true") return;
+
+    this.addToCart(button);
+  }
+
+  // Adds the variant the way the product form does
+  addToCart(button) {
+    const cartDrawer = this.closest("cart-drawer");
+    const spinner = button.querySelector(".loading__spinner");
+    button.setAttribute("aria-disabled", true);
+    button.classList.add("loading");
+    spinner.classList.remove("hidden");
+    this.errorMessage.textContent = "";
+
+    const config = fetchConfig("javascript");
+    config.headers["X-Requested-With"] = "XMLHttpRequest";
+    delete config.headers["Content-Type"];
+
+    const formData = new FormData();
+    formData.append("id", button.dataset.variantId);
+    formData.append("quantity", 1);
+    formData.append(
+      "sections",
+      cartDrawer.getSectionsToRender().map((section) => section.id)
+    );
+    formData.append("sections_url", window.location.pathname);
+    config.body = formData;
+
+    CartClient.request(`${routes.cart_add_url}`, config)
+      .then((response) => response.json())
+      .then((response) => {
+        if (response.status) {
+          publish(PUB_SUB_EVENTS.cartError, {
+            source: "cart-drawer-recommendations",
+            productVariantId: formData.get("id"),
+            errors: response.errors || response.description,
+            message: response.message,
+          });
+          this.errorMessage.textContent = response.description;
+          return;
+        }
+
+        publish(PUB_SUB_EVENTS.cartUpdate, {
+          source: "cart-drawer-recommendations",
+          productVariantId: formData.get("id"),
+          cartData: response,
+        });
+        cartDrawer.renderContents(response);
+        // The button went away with the drawer contents
+        trapFocus(
+          document.getElementById("CartDrawer"),
+          cartDrawer.querySelector(".drawer__inner")
+        );
+      })
+      .catch((e) => {
+        console.error(e);
+        this.errorMessage.textContent = window.cartStrings.error;
+      })
+      .finally(() => {
+        button.classList.remove("loading");
+        button.removeAttribute("aria-disabled");
+        spinner.classList.add("hidden");
+      });
+  }
+}
+
+customElements.define("cart-drawer-recommendations", CartDrawerRecommendations);
@@ -0,0 +1,190 @@
+/*
+ * Cart queue
+ *
+ * Keeps cart changes that could not reach the server in localStorage and replays them in order once
+ * the connection returns. Entries hold absolute quantities, keyed by line key for /cart/change.js and
+ * by variant id for /cart/update.js, so a newer change to a line replaces the queued one.
+ *
+ * Replays are checked against a fresh /cart.js first and the server wins conflicts: a line removed
+ * meanwhile (on another tab or device) stays removed instead of being added back. Changes the server
+ * refuses on replay are dropped and published as cartError, with the message shown on the cart.
+ */
+class CartQueue {
+  static #storageKey = 'cart-queue';
+  static #replaying = null;
+  static #unsaved = null;
+
+  static get entries() {
+    if (CartQueue.#unsaved) return [...CartQueue.#unsaved];
+
+    try {
+      return JSON.parse(localStorage.getItem(CartQueue.#storageKey)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  // Requests that never reached the server only. Errors the server answered with, or errors thrown while
+  // handling its answer, mean the change was applied or refused and must not be replayed.
+  static isOfflineError(error) {
+    return error instanceof CartNetworkError;
+  }
+
+  // payload is { id: lineKey, quantity } for change and { updates: { variantId: quantity } } for update
+  static enqueue(action, payload) {
+    const entries = CartQueue.#without(CartQueue.entries, action, payload);
+    entries.push({ action, payload, queuedAt: Date.now() });
+    CartQueue.#save(entries);
+  }
+
+  // Drops queued changes a newer, successful request has replaced
+  static supersede(action, payload) {
+    const entries = CartQueue.entries;
+    const remaining = CartQueue.#without(entries, action, payload);
+    if (JSON.stringify(remaining) !== JSON.stringify(entries)) CartQueue.#save(remaining);
+  }
+
+  static replay() {
+    if (!CartQueue.#replaying && navigator.onLine && CartQueue.entries.length > 0) {
+      CartQueue.#replaying = CartQueue.#replay()
+        .catch(() => {
+          // Still offline, the queue is kept for the next attempt
+        })
+        .finally(() => {
+          CartQueue.#replaying = null;
+        });
+    }
+
+    return CartQueue.#replaying || Promise.resolve();
+  }
+
+  static async #replay() {
+    await CartStore.fetch();
+    const rejected = [];
+
+    while (CartQueue.entries.length > 0) {
+      const [entry, ...rest] = CartQueue.entries;
+      const body = CartQueue.#resolve(entry, CartStore.cart);
+
+      if (body) {
+        const url = entry.action === 'change' ? routes.cart_change_url : routes.cart_update_url;
+        const response = await CartClient.request(`${url}`, { ...fetchConfig(), body: JSON.stringify(body) });
+        // The server refused the change (sold out, over the stock), it is dropped but the shopper is told
+        if (!response.ok) rejected.push({ entry, message: await CartQueue.#readError(response) });
+      }
+
+      CartQueue.#save(rest);
+    }
+
+    // Wait for the cart to render again, it would replace the error messages
+    await publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-queue', cartData: CartStore.cart });
+
+    rejected.forEach(({ entry, message }) => {
+      publish(PUB_SUB_EVENTS.cartError, { source: 'cart-queue', errors: message, message });
+      CartQueue.#renderError(entry, message);
+    });
+  }
+
+  static async #readError(response) {
+    try {
+      const { description, message } = await response.json();
+      return description || message || window.cartStrings.error;
+    } catch (e) {
+      return window.cartStrings.error;
+    }
+  }
+
+  // On the line the change was for when it is still in the cart, on the cart otherwise
+  static #renderError(entry, message) {
+    const row = entry.action === 'change' ? document.querySelector(`.cart-item[data-key="${entry.payload.id}"]`) : null;
+    const lineError = row?.querySelector('.cart-item__error-text');
+    if (lineError) {
+      lineError.textContent = message;
+      return;
+    }
+
+    const errors = document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
+    if (errors) errors.textContent = message;
+  }
+
+  // Rebuilds a queued change against the fresh cart, or returns null when nothing is left to send
+  static #resolve(entry, cart) {
+    if (entry.action === 'change') {
+      return cart.items.some((item) => item.key === entry.payload.id) ? entry.payload : null;
+    }
+
+    const updates = {};
+    Object.entries(entry.payload.updates).forEach(([variantId, quantity]) => {
+      const inCart = cart.items.some((item) => String(item.variant_id) === variantId);
+      if (inCart || parseInt(quantity) > 0) updates[variantId] = quantity;
+    });
+
+    return Object.keys(updates).length > 0 ? { updates } : null;
+  }
+
+  static isPending({ key, variantId }) {
+    return CartQueue.entries.some((entry) =>
+      entry.action === 'change'
+        ? entry.payload.id === key
+        : Object.prototype.hasOwnProperty.call(entry.payload.updates, String(variantId))
+    );
+  }
+
+  static renderPending() {
+    document.querySelectorAll('.cart-item[data-key]').forEach((row) => {
+      CartQueue.#togglePending(row, 'cart-item', CartQueue.isPending({ key: row.dataset.key }));
+    });
+    document.querySelectorAll('.variant-item[data-variant-id]').forEach((row) => {
+      CartQueue.#togglePending(row, 'variant-item', CartQueue.isPending({ variantId: row.dataset.variantId }));
+    });
+  }
+
+  static #togglePending(row, block, pending) {
+    row.classList.toggle(`${block}--pending-sync`, pending);
+    row.querySelectorAll(`.${block}__pending-sync`).forEach((label) => label.classList.toggle('hidden', !pending));
+  }
+
+  static #without(entries, action, payload) {
+    if (action === 'change') {
+      return entries.filter((entry) => entry.action !== 'change' || entry.payload.id !== payload.id);
+    }
+
+    return entries
+      .map((entry) => {
+        if (entry.action !== 'update') return entry;
+
+        const updates = { ...entry.payload.updates };
+        Object.keys(payload.updates).forEach((variantId) => delete updates[variantId]);
+        return { ...entry, payload: { updates } };
+      })
+      .filter((entry) => entry.action !== 'update' || Object.keys(entry.payload.updates).length > 0);
+  }
+
+  static #save(entries) {
+    try {
+      if (entries.length > 0) {
+        localStorage.setItem(CartQueue.#storageKey, JSON.stringify(entries));
+      } else {
+        localStorage.removeItem(CartQueue.#storageKey);
+      }
+      CartQueue.#unsaved = null;
+    } catch (e) {
+      // Storage can be full or blocked, the queue then only lives until the page unloads
+      CartQueue.#unsaved = entries;
+    }
+
+    CartQueue.renderPending();
+  }
+}
+
+window.addEventListener('online', () => CartQueue.replay());
+
+subscribe(PUB_SUB_EVENTS.cartUpdate, () => CartQueue.renderPending());
+
+// Changes queued before a reload are replayed as soon as the page is back
+document.addEventListener('DOMContentLoaded', () => {
+  if (CartQueue.entries.length === 0) return;
+
+  CartQueue.renderPending();
+  CartQueue.replay();
+});
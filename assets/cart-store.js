@@ -0,0 +1,211 @@
+/*
+ * Cart store
+ *
+ * Holds the last known cart so components stop fetching /cart.js on their own.
+ * The store reads the cart from every cart response that includes one, shares a single
+ * in-flight /cart.js request between callers, and publishes what changed through pub/sub:
+ * - cartStateChange: { source, cart, previous, optimistic, reconciled } on any change
+ * - cartLinesChange: { source, cart, added, removed, updated } when lines change
+ * - cartTotalChange: { source, cart, total, previousTotal } when the total changes
+ *
+ * Optimistic updates publish a predicted cart with `optimistic: true` before the request is sent.
+ * The confirmed cart stays as it is until the server answers with `reconciled: true`, or the
+ * caller rolls back. Components that change the cart themselves should ignore predictions.
+ */
+class CartStore {
+  static #cart = null;
+  static #pending = null;
+  static #predicted = null;
+
+  static get cart() {
+    return CartStore.#cart;
+  }
+
+  // Last known cart, waiting for a request already in flight
+  static get() {
+    if (CartStore.#pending) return CartStore.#pending;
+    return CartStore.#cart ? Promise.resolve(CartStore.#cart) : CartStore.fetch();
+  }
+
+  // Cart a cartUpdate refers to. Carts that came through CartClient are already in the store, anything else
+  // (an add response, a change made outside CartClient or no cart at all) is read fresh.
+  static forUpdate(cartData) {
+    const cart = CartStore.#cart;
+    if (cart && Array.isArray(cartData?.items) && CartStore.stamp(cartData) === CartStore.stamp(cart)) {
+      return Promise.resolve(cart);
+    }
+    return CartStore.fetch();
+  }
+
+  // Fresh cart, sharing the request with everyone who asks while it is in flight
+  static fetch() {
+    if (!CartStore.#pending) {
+      CartStore.#pending = CartClient.request(`${routes.cart_url}.js`)
+        .then((response) => {
+          if (!response.ok) throw new Error(`Cart request failed: ${response.status}`);
+          return response.json();
+        })
+        .then((cart) => CartStore.set(cart, 'cart-store'))
+        .finally(() => {
+          CartStore.#pending = null;
+        });
+    }
+
+    return CartStore.#pending;
+  }
+
+  static set(cart, source) {
+    const { sections, ...state } = cart;
+    const previous = CartStore.#cart;
+    const reconciled = CartStore.#predicted !== null;
+    CartStore.#cart = state;
+    CartStore.#predicted = null;
+
+    if (!reconciled && previous && CartStore.stamp(previous) === CartStore.stamp(state)) return state;
+
+    publish(PUB_SUB_EVENTS.cartStateChange, { source, cart: state, previous, optimistic: false, reconciled });
+
+    const lines = CartStore.diffLines(previous, state);
+    if (lines.added.length > 0 || lines.removed.length > 0 || lines.updated.length > 0) {
+      publish(PUB_SUB_EVENTS.cartLinesChange, { source, cart: state, ...lines });
+    }
+
+    if (!previous || previous.total_price !== state.total_price) {
+      publish(PUB_SUB_EVENTS.cartTotalChange, {
+        source,
+        cart: state,
+        total: state.total_price,
+        previousTotal: previous ? previous.total_price : null,
+      });
+    }
+
+    return state;
+  }
+
+  // Publishes the cart a change is expected to produce, before the request is sent
+  static predict(source, mutate) {
+    if (!CartStore.#cart) return null;
+
+    const predicted = mutate(structuredClone(CartStore.#predicted || CartStore.#cart));
+    CartStore.#predicted = predicted;
+    publish(PUB_SUB_EVENTS.cartStateChange, {
+      source,
+      cart: predicted,
+      previous: CartStore.#cart,
+      optimistic: true,
+      reconciled: false,
+    });
+
+    return predicted;
+  }
+
+  // Drops the prediction when the request failed and republishes the confirmed cart
+  static rollback(source) {
+    if (!CartStore.#predicted) return;
+
+    CartStore.#predicted = null;
+    publish(PUB_SUB_EVENTS.cartStateChange, {
+      source,
+      cart: CartStore.#cart,
+      previous: CartStore.#cart,
+      optimistic: true,
+      reconciled: true,
+    });
+  }
+
+  // Sets a line's quantity, line is the 1-based index used by cart forms
+  static withLineQuantity(cart, line, quantity) {
+    const item = cart.items[line - 1];
+    if (item) CartStore.#setQuantity(cart, item, quantity);
+    return cart;
+  }
+
+  // Sets quantities by variant id, as /cart/update.js does. Variants not in the cart yet are left to the server.
+  static withVariantQuantities(cart, updates) {
+    Object.entries(updates).forEach(([variantId, quantity]) => {
+      const item = cart.items.find((cartItem) => String(cartItem.variant_id) === String(variantId));
+      if (item) CartStore.#setQuantity(cart, item, parseInt(quantity));
+    });
+    return cart;
+  }
+
+  static #setQuantity(cart, item, quantity) {
+    const difference = quantity - item.quantity;
+    const priceDifference = item.final_price * difference;
+
+    item.quantity = quantity;
+    item.final_line_price += priceDifference;
+    item.line_price = item.price * quantity;
+    item.original_line_price = item.original_price * quantity;
+    cart.item_count += difference;
+    cart.total_price = Math.max(0, cart.total_price + priceDifference);
+    cart.items_subtotal_price = Math.max(0, cart.items_subtotal_price + priceDifference);
+
+    if (quantity <= 0) cart.items = cart.items.filter((cartItem) => cartItem !== item);
+  }
+
+  // Everything a rendered cart depends on, to tell whether two carts would render the same
+  static stamp(cart) {
+    return JSON.stringify([
+      cart.item_count,
+      cart.total_price,
+      cart.total_discount,
+      cart.note,
+      cart.attributes,
+      cart.items.map((item) => [item.key, item.quantity, item.final_line_price, item.properties]),
+    ]);
+  }
+
+  static diffLines(previous, cart) {
+    const previousItems = new Map((previous ? previous.items : []).map((item) => [item.key, item]));
+    const keys = new Set(cart.items.map((item) => item.key));
+
+    return {
+      added: cart.items.filter((item) => !previousItems.has(item.key)),
+      removed: Array.from(previousItems.values()).filter((item) => !keys.has(item.key)),
+      updated: cart.items.filter(
+        (item) => previousItems.has(item.key) && previousItems.get(item.key).quantity !== item.quantity
+      ),
+    };
+  }
+
+  // Change and update responses carry the whole cart, add responses only the added items. Error answers drop
+  // the prediction made for the request, the caller shows the message.
+  static async handleResponse(request, response) {
+    if (!request.action || request.action === 'get') return;
+    if (!response.ok) {
+      CartStore.rollback(request.action);
+      return;
+    }
+
+    if (request.action === 'add') {
+      CartStore.fetch().catch(() => {});
+      return;
+    }
+
+    try {
+      const cart = await response.clone().json();
+      if (Array.isArray(cart.items)) {
+        CartStore.set(cart, request.action);
+      } else if (cart.errors) {
+        CartStore.rollback(request.action);
+      }
+    } catch (e) {
+      // Responses without a cart leave the store as it is
+    }
+  }
+}
+
+CartClient.afterResponse(CartStore.handleResponse);
+
+// Mirrors the cart count and total while a change is in flight, section renders take over once it lands
+subscribe(PUB_SUB_EVENTS.cartStateChange, ({ cart, optimistic, reconciled }) => {
+  if (!optimistic && !reconciled) return;
+
+  document.querySelectorAll('#cart-icon-bubble .cart-count-bubble span[aria-hidden="true"]').forEach((count) => {
+    count.textContent = cart.item_count < 100 ? cart.item_count : '';
+  });
+  document.querySelectorAll('.totals__total-value').forEach((total) => {
+    total.textContent = Shopify.formatMoney(cart.total_price, window.theme.moneyWithCurrencyFormat);
+  });
+});
@@ -28,6 +28,7 @@ class CartItems extends HTMLElement {
   }
 
   cartUpdateUnsubscriber = undefined;
+  cartStateUnsubscriber = undefined;
 
   connectedCallback() {
     this.cartUpdateUnsubscriber = subscribe(
@@ -36,7 +37,13 @@ class CartItems extends HTMLElement {
         if (event.source === "cart-items") {
           return;
         }
-        return this.onCartUpdate();
+        return this.onCartUpdate(event);
+      }
+    );
+    this.cartStateUnsubscriber = subscribe(
+      PUB_SUB_EVENTS.cartStateChange,
+      (event) => {
+        if (event.optimistic) this.renderLinePrices(event.previous, event.cart);
       }
     );
   }
@@ -45,6 +52,27 @@ class CartItems extends HTMLElement {
     if (this.cartUpdateUnsubscriber) {
       this.cartUpdateUnsubscriber();
     }
+    if (this.cartStateUnsubscriber) {
+      this.cartStateUnsubscriber();
+    }
+  }
+
+  // Shows predicted line totals, rendered lines follow the confirmed cart's order
+  renderLinePrices(confirmedCart, cart) {
+    confirmedCart.items.forEach((confirmedItem, index) => {
+      const item = cart.items.find(
+        (cartItem) => cartItem.key === confirmedItem.key
+      );
+      if (!item) return;
+
+      const lineItem =
+        this.querySelector(`#CartItem-${index + 1}`) ||
+        this.querySelector(`#CartDrawer-Item-${index + 1}`);
+      const price = lineItem?.querySelector(
+        ".cart-item__price-wrapper > .price, .cart-item__price-wrapper dd.price"
+      );
+      if (price) price.textContent = Shopify.formatMoney(item.final_line_price);
+    });
   }
 
   resetQuantityInput(id) {
@@ -101,7 +129,22 @@ class CartItems extends HTMLElement {
     this.validateQuantity(event);
   }
 
-  onCartUpdate() {
+  onCartUpdate(event) {
+    // Several components publish cartUpdate for one change, render each cart state once
+    return CartStore.forUpdate(event?.cartData)
+      .then((cart) => {
+        const stamp = CartStore.stamp(cart);
+        if (stamp === this.renderedCartStamp) return;
+        this.renderedCartStamp = stamp;
+
+        return this.renderCartSections();
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  renderCartSections() {
     if (this.tagName === "CART-DRAWER-ITEMS") {
       return fetch(`${routes.cart_url}?section_id=cart-drawer`)
         .then((response) => response.text())
@@ -175,13 +218,25 @@ class CartItems extends HTMLElement {
     });
     const eventTarget =
       event.currentTarget instanceof CartRemoveButton ? "clear" : "change";
+    const lineKey = (
+      document.getElementById(`CartItem-${line}`) ||
+      document.getElementById(`CartDrawer-Item-${line}`)
+    )?.dataset.key;
 
-    fetch(`${routes.cart_change_url}`, { ...fetchConfig(), ...{ body } })
+    CartStore.predict("cart-items", (cart) =>
+      CartStore.withLineQuantity(cart, line, quantity)
+    );
+
+    CartClient.request(`${routes.cart_change_url}`, {
+      ...fetchConfig(),
+      ...{ body },
+    })
       .then((response) => {
         return response.text();
       })
       .then((state) => {
         const parsedState = JSON.parse(state);
+        if (!parsedState.errors) CartQueue.supersede("change", { id: lineKey });
 
         CartPerformance.measure(
           `${eventTarget}:paint-updated-sections"`,
@@ -192,8 +247,7 @@ class CartItems extends HTMLElement {
             const items = document.querySelectorAll(".cart-item");
 
             if (parsedState.errors) {
-              quantityElement.value = quantityElement.getAttribute("value");
-              this.updateLiveRegions(line, parsedState.errors);
+              this.rollbackQuantity(line, parsedState.errors);
               return;
             }
 
@@ -223,6 +277,7 @@ class CartItems extends HTMLElement {
                 section.selector
               );
             });
+            this.renderedCartStamp = CartStore.stamp(parsedState);
             const updatedValue = parsedState.items[line - 1]
               ? parsedState.items[line - 1].quantity
               : undefined;
@@ -241,6 +296,8 @@ class CartItems extends HTMLElement {
               }
             }
             this.updateLiveRegions(line, message);
+            // A clamped quantity was reconciled by the store, tell the shopper why it moved
+            if (message) this.announce(message);
 
             const lineItem =
               document.getElementById(`CartItem-${line}`) ||
@@ -277,20 +334,49 @@ class CartItems extends HTMLElement {
           variantId: variantId,
         });
       })
-      .catch(() => {
+      .catch((error) => {
         this.querySelectorAll(".loading__spinner").forEach((overlay) =>
           overlay.classList.add("hidden")
         );
+
+        // Offline changes keep their prediction and wait in the queue
+        if (lineKey && CartQueue.isOfflineError(error)) {
+          CartQueue.enqueue("change", { id: lineKey, quantity });
+          return;
+        }
+
         const errors =
           document.getElementById("cart-errors") ||
           document.getElementById("CartDrawer-CartErrors");
         errors.textContent = window.cartStrings.error;
+        this.rollbackQuantity(line, window.cartStrings.error);
       })
       .finally(() => {
         this.disableLoading(line);
       });
   }
 
+  // Puts the line back the way the server last confirmed it and announces why
+  rollbackQuantity(line, message) {
+    CartStore.rollback("cart-items");
+
+    const quantityElement =
+      document.getElementById(`Quantity-${line}`) ||
+      document.getElementById(`Drawer-quantity-${line}`);
+    if (quantityElement)
+      quantityElement.value = quantityElement.getAttribute("value");
+
+    this.updateLiveRegions(line, message);
+    this.announce(message);
+  }
+
+  announce(message) {
+    const cartStatus =
+      document.getElementById("cart-live-region-text") ||
+      document.getElementById("CartDrawer-LiveRegionText");
+    if (cartStatus) cartStatus.textContent = message;
+  }
+
   updateLiveRegions(line, message) {
     const lineItemError =
       document.getElementById(`Line-item-error-${line}`) ||
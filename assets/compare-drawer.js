@@ -0,0 +1,276 @@
+/*
+ * Compare drawer
+ *
+ * compare-table builds the comparison from one compare-column section render per product, fetched on the
+ * product's own page when the table is loaded, and lines the rows up by data-compare-row. It is used in
+ * the tray's drawer and, reading the `products` URL parameter, on the shareable comparison page.
+ *
+ * compare-tray is the sticky bar listing the products picked with the card compare buttons.
+ */
+if (!customElements.get('compare-table')) {
+  customElements.define(
+    'compare-table',
+    class CompareTable extends HTMLElement {
+      constructor() {
+        super();
+
+        this.content = this.querySelector('[data-compare-content]');
+        this.status = this.querySelector('[data-compare-status]');
+        this.spinner = this.querySelector('.loading__spinner');
+        this.columns = new Map();
+        this.handles = [];
+      }
+
+      connectedCallback() {
+        if (this.dataset.fromUrl !== 'true') return;
+
+        const handles = new URLSearchParams(window.location.search).get('products') || '';
+        this.load(handles.split(',').filter(Boolean).slice(0, Compare.MAX_ITEMS));
+      }
+
+      async load(handles) {
+        this.handles = handles;
+        if (handles.length < 2) {
+          this.renderMessage(this.dataset.minimumMessage);
+          return;
+        }
+
+        this.classList.add('loading');
+        this.spinner.classList.remove('hidden');
+        this.setAttribute('aria-busy', true);
+
+        const columns = await Promise.all(handles.map((handle) => this.fetchColumn(handle)));
+        // A newer load started while this one was fetching
+        if (handles !== this.handles) return;
+
+        this.classList.remove('loading');
+        this.spinner.classList.add('hidden');
+        this.removeAttribute('aria-busy');
+
+        const loaded = columns.filter(Boolean);
+        if (loaded.length === 0) {
+          this.renderMessage(this.dataset.errorMessage);
+        } else {
+          this.renderTable(loaded);
+        }
+      }
+
+      fetchColumn(handle) {
+        if (!this.columns.has(handle)) {
+          const url = `${window.Shopify.routes.root}products/${encodeURIComponent(handle)}?section_id=compare-column`;
+          const request = fetch(url)
+            .then((response) => {
+              // Products that were deleted or unpublished leave the comparison
+              if (response.status === 404) {
+                Compare.remove(handle);
+                return null;
+              }
+              if (!response.ok) throw new Error(`Compare request failed: ${response.status}`);
+              return response.text();
+            })
+            .then((text) => {
+              if (!text) return null;
+              return new DOMParser().parseFromString(text, 'text/html').querySelector('.compare-column');
+            })
+            .catch((error) => {
+              console.error(error);
+              this.columns.delete(handle);
+              return null;
+            });
+          this.columns.set(handle, request);
+        }
+
+        return this.columns.get(handle);
+      }
+
+      renderMessage(message) {
+        this.classList.remove('loading');
+        this.spinner.classList.add('hidden');
+        this.removeAttribute('aria-busy');
+        this.content.replaceChildren();
+        this.status.textContent = message;
+      }
+
+      renderTable(columns) {
+        // Rows in group order (summary, options, metafields), then in the order the columns list them
+        const rows = new Map();
+        columns.forEach((column) => {
+          column.querySelectorAll('[data-compare-row]').forEach((cell) => {
+            if (rows.has(cell.dataset.compareRow)) return;
+            rows.set(cell.dataset.compareRow, {
+              label: cell.dataset.compareLabel,
+              group: parseInt(cell.dataset.compareGroup) || 0,
+            });
+          });
+        });
+        const rowKeys = Array.from(rows.keys()).sort((a, b) => rows.get(a).group - rows.get(b).group);
+
+        const table = document.createElement('table');
+        table.className = 'compare-table__table';
+        table.createCaption().textContent = this.dataset.caption;
+        table.caption.className = 'visually-hidden';
+
+        const headRow = table.createTHead().insertRow();
+        headRow.appendChild(document.createElement('td'));
+        columns.forEach((column) => {
+          const heading = document.createElement('th');
+          heading.scope = 'col';
+          heading.innerHTML = column.querySelector('[data-compare-row="product"]')?.innerHTML || '';
+          if (this.dataset.removable === 'true') heading.appendChild(this.createRemoveButton(column));
+          headRow.appendChild(heading);
+        });
+
+        const body = table.createTBody();
+        rowKeys
+          .filter((key) => key !== 'product')
+          .forEach((key) => {
+            const row = body.insertRow();
+            const heading = document.createElement('th');
+            heading.scope = 'row';
+            heading.textContent = rows.get(key).label;
+            row.appendChild(heading);
+
+            columns.forEach((column) => {
+              const cell = row.insertCell();
+              const source = column.querySelector(`[data-compare-row="${CSS.escape(key)}"]`);
+              if (source) {
+                cell.innerHTML = source.innerHTML;
+              } else {
+                cell.textContent = '–';
+              }
+            });
+          });
+
+        this.status.textContent = '';
+        this.content.replaceChildren(table);
+      }
+
+      createRemoveButton(column) {
+        const title = column.querySelector('.compare-table__title')?.textContent.trim() || '';
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'compare-table__remove link';
+        button.textContent = this.dataset.removeText;
+        button.setAttribute('aria-label', this.dataset.removeLabel.replace('[title]', title));
+        button.addEventListener('click', () => Compare.remove(column.dataset.handle));
+        return button;
+      }
+    }
+  );
+}
+
+if (!customElements.get('compare-tray')) {
+  customElements.define(
+    'compare-tray',
+    class CompareTray extends HTMLElement {
+      constructor() {
+        super();
+
+        this.list = this.querySelector('[data-compare-items]');
+        this.itemTemplate = this.querySelector('template[data-compare-item]');
+        this.message = this.querySelector('[data-compare-message]');
+        this.count = this.querySelector('[data-compare-count]');
+        this.openButton = this.querySelector('[data-compare-open]');
+        this.drawer = this.querySelector('[data-compare-drawer]');
+        this.table = this.querySelector('compare-table');
+        this.pageLink = this.querySelector('[data-compare-page-link]');
+
+        this.openButton.addEventListener('click', () => this.open(this.openButton));
+        this.querySelector('[data-compare-clear]').addEventListener('click', () => Compare.clear());
+        this.querySelector('[data-compare-copy]')?.addEventListener('click', this.copyLink.bind(this));
+        this.querySelectorAll('[data-compare-close]').forEach((button) =>
+          button.addEventListener('click', this.close.bind(this))
+        );
+        this.drawer.addEventListener('keyup', (event) => {
+          if (event.code.toUpperCase() === 'ESCAPE') this.close();
+        });
+      }
+
+      connectedCallback() {
+        this.compareChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.compareChange, this.onCompareChange.bind(this));
+        this.render();
+      }
+
+      disconnectedCallback() {
+        if (this.compareChangeUnsubscriber) {
+          this.compareChangeUnsubscriber();
+        }
+      }
+
+      onCompareChange({ limitReached }) {
+        this.message.textContent = limitReached ? this.dataset.limitMessage : '';
+        if (limitReached) return;
+
+        this.render();
+        if (this.isOpen) {
+          if (Compare.items.length < 2) {
+            this.close();
+          } else {
+            this.table.load(Compare.handles);
+          }
+        }
+      }
+
+      get isOpen() {
+        return !this.drawer.hidden;
+      }
+
+      get shareUrl() {
+        const url = new URL(this.dataset.pageUrl, window.location.origin);
+        url.searchParams.set('products', Compare.handles.join(','));
+        return url.toString();
+      }
+
+      render() {
+        const items = Compare.items;
+        this.hidden = items.length === 0;
+        this.count.textContent = `${items.length}/${Compare.MAX_ITEMS}`;
+        this.openButton.disabled = items.length < 2;
+        if (this.pageLink) this.pageLink.href = this.shareUrl;
+
+        this.list.replaceChildren(
+          ...items.map((item) => {
+            const element = this.itemTemplate.content.firstElementChild.cloneNode(true);
+            const image = element.querySelector('img');
+            if (item.image) {
+              image.src = item.image;
+            } else {
+              image.remove();
+            }
+            element.querySelector('[data-compare-item-title]').textContent = item.title;
+
+            const removeButton = element.querySelector('[data-compare-remove]');
+            removeButton.setAttribute('aria-label', this.dataset.removeLabel.replace('[title]', item.title));
+            removeButton.addEventListener('click', () => Compare.remove(item.handle));
+            return element;
+          })
+        );
+      }
+
+      open(opener) {
+        if (Compare.items.length < 2) return;
+
+        this.opener = opener;
+        this.drawer.hidden = false;
+        this.table.load(Compare.handles);
+        document.body.classList.add('overflow-hidden');
+        trapFocus(this.drawer, this.drawer.querySelector('[role="dialog"]'));
+      }
+
+      close() {
+        if (!this.isOpen) return;
+
+        this.drawer.hidden = true;
+        document.body.classList.remove('overflow-hidden');
+        removeTrapFocus(this.opener?.isConnected && !this.opener.disabled ? this.opener : null);
+      }
+
+      copyLink() {
+        navigator.clipboard
+          ?.writeText(this.shareUrl)
+          .then(() => (this.message.textContent = this.dataset.copiedMessage))
+          .catch((error) => console.error(error));
+      }
+    }
+  );
+}
@@ -0,0 +1,113 @@
+/*
+ * Compare
+ *
+ * Holds up to MAX_ITEMS products picked with the compare buttons ([data-compare-toggle][data-product-handle])
+ * that dispatch `compare:toggle`. Each item keeps the handle plus the title and image the tray shows, and the
+ * list is kept in localStorage so it follows the shopper across collection pages and tabs.
+ *
+ * Changes are published as compareChange: { items, handle, added, limitReached }.
+ */
+class Compare {
+  static MAX_ITEMS = 4;
+  static STORAGE_KEY = 'compare';
+  static #items = null;
+
+  static get items() {
+    if (!Compare.#items) Compare.#items = Compare.#parse(Compare.#storedValue());
+    return [...Compare.#items];
+  }
+
+  static get handles() {
+    return Compare.items.map((item) => item.handle);
+  }
+
+  static has(handle) {
+    return Compare.handles.includes(handle);
+  }
+
+  static toggle(item) {
+    return Compare.has(item.handle) ? Compare.remove(item.handle) : Compare.add(item);
+  }
+
+  static add({ handle, title = '', image = '' }) {
+    if (!handle || Compare.has(handle)) return false;
+    if (Compare.items.length >= Compare.MAX_ITEMS) {
+      publish(PUB_SUB_EVENTS.compareChange, { items: Compare.items, handle, added: false, limitReached: true });
+      return false;
+    }
+
+    Compare.#update([...Compare.items, { handle, title, image }], handle, true);
+    return true;
+  }
+
+  static remove(handle) {
+    if (!Compare.has(handle)) return false;
+
+    Compare.#update(
+      Compare.items.filter((item) => item.handle !== handle),
+      handle,
+      false
+    );
+    return true;
+  }
+
+  static clear() {
+    Compare.#update([], null, false);
+  }
+
+  static renderButtons(root = document) {
+    root.querySelectorAll('[data-compare-toggle][data-product-handle]').forEach((button) => {
+      button.setAttribute('aria-pressed', Compare.has(button.dataset.productHandle));
+    });
+  }
+
+  static #storedValue() {
+    try {
+      return localStorage.getItem(Compare.STORAGE_KEY);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  static #parse(value) {
+    try {
+      const items = JSON.parse(value);
+      return Array.isArray(items)
+        ? items.filter((item) => item && typeof item.handle === 'string').slice(0, Compare.MAX_ITEMS)
+        : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static #update(items, handle, added) {
+    Compare.#items = items;
+    try {
+      localStorage.setItem(Compare.STORAGE_KEY, JSON.stringify(items));
+    } catch (e) {
+      // Without storage the selection lasts until the page unloads
+    }
+
+    Compare.renderButtons();
+    publish(PUB_SUB_EVENTS.compareChange, { items: Compare.items, handle, added, limitReached: false });
+  }
+
+  // Picks up a change made in another tab
+  static reload(value) {
+    Compare.#items = Compare.#parse(value);
+    Compare.renderButtons();
+    publish(PUB_SUB_EVENTS.compareChange, { items: Compare.items, handle: null, added: null, limitReached: false });
+  }
+}
+
+document.addEventListener('compare:toggle', (event) => {
+  if (event.detail?.handle) Compare.toggle(event.detail);
+});
+
+window.addEventListener('storage', (event) => {
+  if (event.key === Compare.STORAGE_KEY) Compare.reload(event.newValue);
+});
+
+document.addEventListener('shopify:section:load', (event) => Compare.renderButtons(event.target));
+
+document.addEventListener('DOMContentLoaded', () => Compare.renderButtons());
@@ -6,4 +6,9 @@ const PUB_SUB_EVENTS = {
   optionValueSelectionChange: 'option-value-selection-change',
   variantChange: 'variant-change',
   cartError: 'cart-error',
+  cartStateChange: 'cart-state-change',
+  cartLinesChange: 'cart-lines-change',
+  cartTotalChange: 'cart-total-change',
+  wishlistChange: 'wishlist-change',
+  compareChange: 'compare-change',
 };
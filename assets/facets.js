@@ -10,13 +10,20 @@ class FacetFiltersForm extends HTMLElement {
     const facetForm = this.querySelector('form');
     facetForm.addEventListener('input', this.debouncedOnSubmit.bind(this));
 
+    this.addEventListener('pointerover', this.onOptionPointerOver.bind(this));
+    this.addEventListener('pointerout', () => clearTimeout(this.prefetchTimeout));
+    this.addEventListener('focusin', (event) => this.prefetchOption(event.target));
+
     const facetWrapper = this.querySelector('#FacetsWrapperDesktop');
     if (facetWrapper) facetWrapper.addEventListener('keyup', onKeyUpEscape);
   }
 
   static setListeners() {
+    // Entries this form didn't create, like the first one, are rendered from their URL
     const onHistoryChange = (event) => {
-      const searchParams = event.state ? event.state.searchParams : FacetFiltersForm.searchParamsInitial;
+      const searchParams = FacetFiltersForm.serializeSearchParams(
+        event.state?.searchParams ?? window.location.search.slice(1)
+      );
       if (searchParams === FacetFiltersForm.searchParamsPrev) return;
       FacetFiltersForm.renderPage(searchParams, null, false);
     };
@@ -30,6 +37,7 @@ class FacetFiltersForm extends HTMLElement {
   }
 
   static renderPage(searchParams, event, updateURLHash = true) {
+    searchParams = FacetFiltersForm.serializeSearchParams(searchParams);
     FacetFiltersForm.searchParamsPrev = searchParams;
     const sections = FacetFiltersForm.getSections();
     const countContainer = document.getElementById('ProductCount');
@@ -47,38 +55,84 @@ class FacetFiltersForm extends HTMLElement {
     }
 
     sections.forEach((section) => {
-      const url = `${window.location.pathname}?section_id=${section.section}&${searchParams}`;
-      const filterDataUrl = (element) => element.url === url;
+      const url = FacetFiltersForm.getSectionUrl(section.section, searchParams);
 
-      FacetFiltersForm.filterData.some(filterDataUrl)
-        ? FacetFiltersForm.renderSectionFromCache(filterDataUrl, event)
+      FacetFiltersForm.cache.has(url)
+        ? FacetFiltersForm.renderSectionFromCache(url, event)
         : FacetFiltersForm.renderSectionFromFetch(url, event);
     });
 
     if (updateURLHash) FacetFiltersForm.updateURLHash(searchParams);
   }
 
+  static getSectionUrl(sectionId, searchParams) {
+    return `${window.location.pathname}?section_id=${sectionId}&${searchParams}`;
+  }
+
+  // Whether the URL is still for the filters being shown, responses can arrive after the shopper moved on
+  static isCurrentUrl(url) {
+    return FacetFiltersForm.getSections().some(
+      (section) => FacetFiltersForm.getSectionUrl(section.section, FacetFiltersForm.searchParamsPrev) === url
+    );
+  }
+
+  // Shares one request per URL between prefetching, rendering and revalidation
+  static fetchSection(url) {
+    if (!FacetFiltersForm.pendingFetches.has(url)) {
+      const request = fetch(url)
+        .then((response) => {
+          if (!response.ok) throw new Error(`Facets request failed: ${response.status}`);
+          return response.text();
+        })
+        .then((html) => {
+          FacetFiltersForm.cache.set(url, html);
+          FacetFiltersForm.revalidatedUrls.add(url);
+          return html;
+        })
+        .finally(() => FacetFiltersForm.pendingFetches.delete(url));
+      FacetFiltersForm.pendingFetches.set(url, request);
+    }
+
+    return FacetFiltersForm.pendingFetches.get(url);
+  }
+
   static renderSectionFromFetch(url, event) {
-    fetch(url)
-      .then((response) => response.text())
-      .then((responseText) => {
-        const html = responseText;
-        FacetFiltersForm.filterData = [...FacetFiltersForm.filterData, { html, url }];
-        FacetFiltersForm.renderFilters(html, event);
-        FacetFiltersForm.renderProductGridContainer(html);
-        FacetFiltersForm.renderProductCount(html);
-        if (typeof initializeScrollAnimationTrigger === 'function') initializeScrollAnimationTrigger(html.innerHTML);
-      });
+    FacetFiltersForm.fetchSection(url)
+      .then((html) => {
+        if (FacetFiltersForm.isCurrentUrl(url)) FacetFiltersForm.renderSection(html, event);
+      })
+      .catch((error) => console.error(error));
   }
 
-  static renderSectionFromCache(filterDataUrl, event) {
-    const html = FacetFiltersForm.filterData.find(filterDataUrl).html;
+  // Renders the cached page at once, then refreshes it unless it was already fetched during this page view. The
+  // refresh lands after the shopper may have moved on within the facet, so it leaves the facets alone
+  static renderSectionFromCache(url, event) {
+    const html = FacetFiltersForm.cache.get(url);
+    FacetFiltersForm.renderSection(html, event);
+
+    if (FacetFiltersForm.revalidatedUrls.has(url)) return;
+    FacetFiltersForm.revalidatedUrls.add(url);
+    FacetFiltersForm.fetchSection(url)
+      .then((freshHtml) => {
+        if (freshHtml !== html && FacetFiltersForm.isCurrentUrl(url))
+          FacetFiltersForm.renderRevalidatedSection(freshHtml);
+      })
+      .catch((error) => console.error(error));
+  }
+
+  static renderSection(html, event) {
     FacetFiltersForm.renderFilters(html, event);
     FacetFiltersForm.renderProductGridContainer(html);
     FacetFiltersForm.renderProductCount(html);
     if (typeof initializeScrollAnimationTrigger === 'function') initializeScrollAnimationTrigger(html.innerHTML);
   }
 
+  static renderRevalidatedSection(html) {
+    FacetFiltersForm.renderProductGridContainer(html);
+    FacetFiltersForm.renderProductCount(html);
+    if (typeof initializeScrollAnimationTrigger === 'function') initializeScrollAnimationTrigger(html.innerHTML);
+  }
+
   static renderProductGridContainer(html) {
     document.getElementById('ProductGridContainer').innerHTML = new DOMParser()
       .parseFromString(html, 'text/html')
@@ -160,8 +214,12 @@ class FacetFiltersForm extends HTMLElement {
       const closestJSFilterID = event.target.closest('.js-filter').id;
 
       if (closestJSFilterID) {
-        FacetFiltersForm.renderCounts(countsToRender, event.target.closest('.js-filter'));
-        FacetFiltersForm.renderMobileCounts(countsToRender, document.getElementById(closestJSFilterID));
+        // Both return true when the values were updated in place, so focus can stay on them
+        const countsInPlace = FacetFiltersForm.renderCounts(countsToRender, event.target.closest('.js-filter'));
+        const mobileCountsInPlace = FacetFiltersForm.renderMobileCounts(
+          countsToRender,
+          document.getElementById(closestJSFilterID)
+        );
 
         const newFacetDetailsElement = document.getElementById(closestJSFilterID);
         const newElementSelector = newFacetDetailsElement.classList.contains('mobile-facets__details')
@@ -170,8 +228,11 @@ class FacetFiltersForm extends HTMLElement {
         const newElementToActivate = newFacetDetailsElement.querySelector(newElementSelector);
 
         const isTextInput = event.target.getAttribute('type') === 'text';
+        const isRangeInput = event.target.getAttribute('type') === 'range';
+
+        const keepsFocus = isTextInput || isRangeInput || countsInPlace || mobileCountsInPlace;
 
-        if (newElementToActivate && !isTextInput) newElementToActivate.focus();
+        if (newElementToActivate && !keepsFocus) newElementToActivate.focus();
       }
     }
   }
@@ -218,6 +279,8 @@ class FacetFiltersForm extends HTMLElement {
     const sourceWrapElement = source.querySelector('.facets-wrap');
 
     if (sourceWrapElement && targetWrapElement) {
+      if (FacetFiltersForm.renderValues(sourceWrapElement, targetWrapElement)) return true;
+
       const isShowingMore = Boolean(target.querySelector('show-more-button .label-show-more.hidden'));
       if (isShowingMore) {
         sourceWrapElement
@@ -234,10 +297,69 @@ class FacetFiltersForm extends HTMLElement {
     const sourceFacetsList = source.querySelector('.mobile-facets__list');
 
     if (sourceFacetsList && targetFacetsList) {
+      if (FacetFiltersForm.renderValues(sourceFacetsList, targetFacetsList)) return true;
+
       targetFacetsList.outerHTML = sourceFacetsList.outerHTML;
     }
   }
 
+  // Swatches and size tiles are updated where they are, so that the one the shopper is on keeps focus. Returns false
+  // for other layouts, or when the values changed and the list has to be replaced
+  static renderValues(source, target) {
+    const layoutSelector = '.facets-layout-list--swatch, .facets-layout-grid--size';
+    if (!target.matches(layoutSelector) && !target.querySelector(layoutSelector)) return false;
+
+    const sourceInputs = Array.from(source.querySelectorAll('input[type="checkbox"]'));
+    const targetInputs = sourceInputs.map((input) =>
+      target.querySelector(`input[name="${CSS.escape(input.name)}"][value="${CSS.escape(input.value)}"]`)
+    );
+    if (
+      targetInputs.includes(null) ||
+      target.querySelectorAll('input[type="checkbox"]').length !== sourceInputs.length
+    ) {
+      return false;
+    }
+
+    sourceInputs.forEach((sourceInput, index) => {
+      const targetInput = targetInputs[index];
+      const sourceLabel = sourceInput.closest('.facets__label');
+      const targetLabel = targetInput.closest('.facets__label');
+
+      targetInput.checked = sourceInput.checked;
+      targetInput.disabled = sourceInput.disabled;
+      targetLabel.className = sourceLabel.className;
+
+      const textSelector = ':scope > .facet-checkbox__text, :scope > .visually-hidden';
+      const targetTexts = targetLabel.querySelectorAll(textSelector);
+      sourceLabel.querySelectorAll(textSelector).forEach((text, textIndex) => {
+        if (targetTexts[textIndex]) targetTexts[textIndex].innerHTML = text.innerHTML;
+      });
+    });
+
+    return true;
+  }
+
+  // Canonical form of the filter state, used for the URL and the section cache keys: empty values, repeated
+  // values and the default sort are dropped, and params are ordered by name and value
+  static serializeSearchParams(searchParams) {
+    const defaultSortBy = document.getElementById('ProductGridContainer')?.dataset.defaultSortBy;
+    const seen = new Set();
+    const params = Array.from(new URLSearchParams(searchParams)).filter(([name, value]) => {
+      const pair = `${name}=${value}`;
+      if (value.trim() === '' || seen.has(pair)) return false;
+      if (name === 'sort_by' && value === defaultSortBy) return false;
+      seen.add(pair);
+      return true;
+    });
+
+    params.sort(([nameA, valueA], [nameB, valueB]) => {
+      if (nameA !== nameB) return nameA < nameB ? -1 : 1;
+      return valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+    });
+
+    return new URLSearchParams(params).toString();
+  }
+
   static updateURLHash(searchParams) {
     history.pushState({ searchParams }, '', `${window.location.pathname}${searchParams && '?'.concat(searchParams)}`);
   }
@@ -261,25 +383,61 @@ class FacetFiltersForm extends HTMLElement {
 
   onSubmitHandler(event) {
     event.preventDefault();
+    this.onSubmitForm(this.getSearchParams(event.target), event);
+  }
+
+  // Search params the filter and sort forms submit when the given element changes
+  getSearchParams(element) {
+    if (element.className == 'mobile-facets__checkbox') return this.createSearchParams(element.closest('form'));
+
     const sortFilterForms = document.querySelectorAll('facet-filters-form form');
-    if (event.srcElement.className == 'mobile-facets__checkbox') {
-      const searchParams = this.createSearchParams(event.target.closest('form'));
-      this.onSubmitForm(searchParams, event);
-    } else {
-      const forms = [];
-      const isMobile = event.target.closest('form').id === 'FacetFiltersFormMobile';
+    const forms = [];
+    const isMobile = element.closest('form').id === 'FacetFiltersFormMobile';
 
-      sortFilterForms.forEach((form) => {
-        if (!isMobile) {
-          if (form.id === 'FacetSortForm' || form.id === 'FacetFiltersForm' || form.id === 'FacetSortDrawerForm') {
-            forms.push(this.createSearchParams(form));
-          }
-        } else if (form.id === 'FacetFiltersFormMobile') {
+    sortFilterForms.forEach((form) => {
+      if (!isMobile) {
+        if (form.id === 'FacetSortForm' || form.id === 'FacetFiltersForm' || form.id === 'FacetSortDrawerForm') {
           forms.push(this.createSearchParams(form));
         }
-      });
-      this.onSubmitForm(forms.join('&'), event);
+      } else if (form.id === 'FacetFiltersFormMobile') {
+        forms.push(this.createSearchParams(form));
+      }
+    });
+    return forms.join('&');
+  }
+
+  onOptionPointerOver(event) {
+    const option = event.target.closest('.facets__item, .mobile-facets__item, facet-remove');
+    if (!option || option.contains(event.relatedTarget)) return;
+
+    clearTimeout(this.prefetchTimeout);
+    this.prefetchTimeout = setTimeout(() => this.prefetchOption(option), 100);
+  }
+
+  // Fetches the results of toggling a filter option, or of removing an active filter, before it is clicked
+  prefetchOption(element) {
+    const removeLink = element.closest('facet-remove')?.querySelector('a');
+    const checkbox = element.matches('input[type="checkbox"]')
+      ? element
+      : element.closest('.facets__item, .mobile-facets__item')?.querySelector('input[type="checkbox"]');
+
+    let searchParams;
+    if (removeLink) {
+      const url = new URL(removeLink.href, window.location.origin);
+      searchParams = url.search.slice(1);
+    } else if (checkbox && !checkbox.disabled) {
+      checkbox.checked = !checkbox.checked;
+      searchParams = this.getSearchParams(checkbox);
+      checkbox.checked = !checkbox.checked;
+    } else {
+      return;
     }
+
+    searchParams = FacetFiltersForm.serializeSearchParams(searchParams);
+    FacetFiltersForm.getSections().forEach((section) => {
+      const url = FacetFiltersForm.getSectionUrl(section.section, searchParams);
+      if (!FacetFiltersForm.cache.has(url)) FacetFiltersForm.fetchSection(url).catch(() => {});
+    });
   }
 
   onActiveFilterClick(event) {
@@ -293,25 +451,40 @@ class FacetFiltersForm extends HTMLElement {
   }
 }
 
-FacetFiltersForm.filterData = [];
-FacetFiltersForm.searchParamsInitial = window.location.search.slice(1);
-FacetFiltersForm.searchParamsPrev = window.location.search.slice(1);
+FacetFiltersForm.cache = new SessionCache('facets-cache', 10);
+FacetFiltersForm.pendingFetches = new Map();
+FacetFiltersForm.revalidatedUrls = new Set();
+FacetFiltersForm.searchParamsInitial = FacetFiltersForm.serializeSearchParams(window.location.search.slice(1));
+FacetFiltersForm.searchParamsPrev = FacetFiltersForm.searchParamsInitial;
 customElements.define('facet-filters-form', FacetFiltersForm);
 FacetFiltersForm.setListeners();
 
 class PriceRange extends HTMLElement {
   constructor() {
     super();
-    this.querySelectorAll('input').forEach((element) => {
+    this.querySelectorAll('.field__input').forEach((element) => {
       element.addEventListener('change', this.onRangeChange.bind(this));
       element.addEventListener('keydown', this.onKeyDown.bind(this));
     });
     this.setMinAndMaxValues();
+
+    this.slider = this.querySelector('.price-range__slider');
+    this.minSlider = this.querySelector('[data-price-range-min]');
+    this.maxSlider = this.querySelector('[data-price-range-max]');
+    this.histogram = this.querySelector('[data-price-histogram]');
+    this.minSlider.addEventListener('input', this.onSliderInput.bind(this));
+    this.maxSlider.addEventListener('input', this.onSliderInput.bind(this));
+  }
+
+  connectedCallback() {
+    this.renderSlider();
+    this.loadHistogram();
   }
 
   onRangeChange(event) {
     this.adjustToValidValues(event.currentTarget);
     this.setMinAndMaxValues();
+    this.updateSliderFromInputs();
   }
 
   onKeyDown(event) {
@@ -321,8 +494,27 @@ class PriceRange extends HTMLElement {
     if (!event.key.match(pattern)) event.preventDefault();
   }
 
+  // The input event bubbles on to the facet form, which submits the updated text inputs once it is debounced
+  onSliderInput(event) {
+    const [minInput, maxInput] = this.querySelectorAll('.field__input');
+    const sliderMax = Number(this.slider.dataset.max);
+    const minValue = Number(this.minSlider.value);
+    const maxValue = Number(this.maxSlider.value);
+
+    // Thumbs can't pass each other
+    if (minValue > maxValue) {
+      event.target.value = event.target === this.minSlider ? maxValue : minValue;
+    }
+
+    minInput.value = Number(this.minSlider.value) > 0 ? PriceRange.formatAmount(Number(this.minSlider.value)) : '';
+    maxInput.value =
+      Number(this.maxSlider.value) < sliderMax ? PriceRange.formatAmount(Number(this.maxSlider.value)) : '';
+    this.setMinAndMaxValues();
+    this.renderSlider();
+  }
+
   setMinAndMaxValues() {
-    const inputs = this.querySelectorAll('input');
+    const inputs = this.querySelectorAll('.field__input');
     const minInput = inputs[0];
     const maxInput = inputs[1];
     if (maxInput.value) minInput.setAttribute('data-max', maxInput.value);
@@ -332,15 +524,118 @@ class PriceRange extends HTMLElement {
   }
 
   adjustToValidValues(input) {
-    const value = Number(input.value);
-    const min = Number(input.getAttribute('data-min'));
-    const max = Number(input.getAttribute('data-max'));
+    if (input.value === '') return;
 
-    if (value < min) input.value = min;
-    if (value > max) input.value = max;
+    const value = PriceRange.parseAmount(input.value);
+    const min = PriceRange.parseAmount(input.getAttribute('data-min'));
+    const max = PriceRange.parseAmount(input.getAttribute('data-max'));
+
+    if (value < min) input.value = input.getAttribute('data-min');
+    if (value > max) input.value = input.getAttribute('data-max');
+  }
+
+  updateSliderFromInputs() {
+    const [minInput, maxInput] = this.querySelectorAll('.field__input');
+    this.minSlider.value = minInput.value ? PriceRange.parseAmount(minInput.value) : 0;
+    this.maxSlider.value = maxInput.value ? PriceRange.parseAmount(maxInput.value) : this.slider.dataset.max;
+    this.renderSlider();
+  }
+
+  renderSlider() {
+    const sliderMax = Number(this.slider.dataset.max) || 1;
+    const minValue = Number(this.minSlider.value);
+    const maxValue = Number(this.maxSlider.value);
+
+    this.minSlider.setAttribute('aria-valuetext', Shopify.formatMoney(minValue));
+    this.maxSlider.setAttribute('aria-valuetext', Shopify.formatMoney(maxValue));
+    this.slider.style.setProperty('--price-range-start', `${(minValue / sliderMax) * 100}%`);
+    this.slider.style.setProperty('--price-range-end', `${(maxValue / sliderMax) * 100}%`);
+    // With both thumbs at the end, only the minimum thumb can still move
+    this.minSlider.classList.toggle('price-range__input--top', minValue >= sliderMax);
+
+    this.histogram?.querySelectorAll('.price-range__bar').forEach((bar) => {
+      const inRange = Number(bar.dataset.to) > minValue && Number(bar.dataset.from) < maxValue;
+      bar.classList.toggle('price-range__bar--active', inRange);
+    });
+  }
+
+  // The price distribution for the other active filters, shared by the desktop and mobile sliders
+  loadHistogram() {
+    if (!this.histogram) return;
+
+    const searchParams = new URLSearchParams(window.location.search);
+    this.querySelectorAll('.field__input').forEach((input) => searchParams.delete(input.name));
+    searchParams.delete('page');
+    searchParams.set('section_id', 'price-histogram');
+    const url = `${window.location.pathname}?${searchParams.toString()}`;
+
+    if (!PriceRange.histograms.has(url)) {
+      const request = fetch(url)
+        .then((response) => {
+          if (!response.ok) throw new Error(`Price histogram request failed: ${response.status}`);
+          return response.text();
+        })
+        .then((responseText) => {
+          const html = new DOMParser().parseFromString(responseText, 'text/html');
+          return JSON.parse(html.querySelector('[data-price-histogram]').textContent);
+        })
+        .catch((error) => {
+          console.error(error);
+          PriceRange.histograms.delete(url);
+          return null;
+        });
+      PriceRange.histograms.set(url, request);
+    }
+
+    PriceRange.histograms.get(url).then((histogram) => {
+      if (histogram) this.renderHistogram(histogram);
+    });
+  }
+
+  renderHistogram({ rangeMax, counts, note }) {
+    const highest = Math.max(...counts);
+    if (!highest) return;
+
+    // Large collections are sampled, shoppers are told the bars are not the whole picture
+    const noteElement = this.querySelector('[data-price-histogram-note]');
+    if (noteElement) {
+      noteElement.textContent = note || '';
+      noteElement.hidden = !note;
+    }
+
+    const bucketWidth = rangeMax / counts.length;
+    this.histogram.replaceChildren(
+      ...counts.map((count, index) => {
+        const bar = document.createElement('span');
+        bar.className = 'price-range__bar';
+        bar.style.height = `${(count / highest) * 100}%`;
+        bar.dataset.from = index * bucketWidth;
+        bar.dataset.to = (index + 1) * bucketWidth;
+        return bar;
+      })
+    );
+    this.histogram.style.setProperty('--price-range-histogram-width', `${(rangeMax / this.slider.dataset.max) * 100}%`);
+    this.renderSlider();
+  }
+
+  // Amounts are in cents, and the text inputs use the shop's money format without the currency
+  static formatAmount(cents) {
+    const amountFormat = window.theme?.moneyFormat?.match(/\{\{\s*\w+\s*\}\}/)?.[0] || '{{amount}}';
+    return Shopify.formatMoney(cents, amountFormat);
+  }
+
+  static parseAmount(value) {
+    // What separates the cents, as in 1.50 or 1,50, when the format shows them
+    const decimalSeparator = PriceRange.formatAmount(150).replace(/\d/g, '');
+    if (!decimalSeparator) return Number(String(value).replace(/\D/g, '')) * 100;
+
+    const [units, cents = ''] = String(value).split(decimalSeparator);
+    return Math.round(Number(`${units.replace(/\D/g, '')}.${cents.replace(/\D/g, '')}`) * 100) || 0;
   }
 }
 
+PriceRange.histograms = new Map();
+
 customElements.define('price-range', PriceRange);
 
 class FacetRemove extends HTMLElement {
@@ -10,6 +10,10 @@
     PROTECTION_DEBOUNCE: 500,
     RETRY_MAX: 3,
     RETRY_DELAY: 500,
+    SCHEDULE_MAX_DELAY: 86400000,
+    CLAIM_ATTRIBUTE: "_gift_claims",
+    // Seconds after which a stored claim is re-signed, well inside the 7 days the discount function accepts
+    CLAIM_REFRESH_AGE: 86400,
   };
 
   // Performance improvements: Cache DOM selectors
@@ -85,15 +89,96 @@
     },
   };
 
+  // Cart requests go through the theme's cart client so its middleware sees them
+  function cartRequest(url, options) {
+    return typeof CartClient !== "undefined"
+      ? CartClient.request(url, options)
+      : fetch(url, options);
+  }
+
+  // Fresh cart from the shared cart store, which dedupes requests already in flight
+  async function fetchCartState() {
+    if (typeof CartStore !== "undefined") return CartStore.fetch();
+
+    const response = await cartRequest(window.Shopify.routes.root + "cart.js");
+    if (!response.ok)
+      throw new Error(`Failed to fetch cart: ${response.status}`);
+    return response.json();
+  }
+
+  // Last known cart, without a request when the store already has it
+  function getCartState() {
+    return typeof CartStore !== "undefined"
+      ? CartStore.get()
+      : fetchCartState();
+  }
+
+  // Campaign windows are Unix timestamps in seconds, 0 or missing means open-ended
+  const Schedule = {
+    now() {
+      return Math.floor(Date.now() / 1000);
+    },
+    parse(value) {
+      const timestamp = parseInt(value);
+      return timestamp > 0 ? timestamp : null;
+    },
+    isActive(startsAt, endsAt, now = this.now()) {
+      return (!startsAt || now >= startsAt) && (!endsAt || now < endsAt);
+    },
+    earliest(...timestamps) {
+      const values = timestamps.filter(Boolean);
+      return values.length > 0 ? Math.min(...values) : null;
+    },
+  };
+
+  // Product data needed to evaluate qualifying rules, shared by all sections on the page
+  const QualifyingLookup = {
+    productTags: new Map(),
+
+    getProductTags(handle) {
+      if (!this.productTags.has(handle)) {
+        const request = fetch(
+          `${window.Shopify.routes.root}products/${handle}.js`
+        )
+          .then((response) => {
+            if (!response.ok)
+              throw new Error(`Failed to fetch product: ${response.status}`);
+            return response.json();
+          })
+          .then((product) =>
+            (product.tags || []).map((tag) => tag.toLowerCase().trim())
+          )
+          .catch(() => {
+            this.productTags.delete(handle);
+            return [];
+          });
+        this.productTags.set(handle, request);
+      }
+      return this.productTags.get(handle);
+    },
+  };
+
   class FreeGiftManager {
     constructor(section) {
       this.section = section;
-      this.threshold = parseInt(section.dataset.threshold);
       this.sectionId = section.dataset.sectionId;
-      this.selectedGift = null;
+      this.tiers = this.readTiers();
+      this.threshold = this.tiers[0].threshold;
+      this.mode = section.dataset.giftMode === "auto" ? "auto" : "choose";
+      this.maxPicks =
+        this.mode === "auto" ? 1 : parseInt(section.dataset.maxPicks) || 1;
+      this.failedAutoTierId = null;
+      this.campaign = {
+        startsAt: Schedule.parse(section.dataset.campaignStartsAt),
+        endsAt: Schedule.parse(section.dataset.campaignEndsAt),
+      };
+      this.scheduleTimer = null;
+      this.selectedGifts = new Map();
       this.isProcessing = false;
       this.cartData = null;
-      this.lastCartTotal = 0;
+      this.qualifyingTotal = 0;
+      this.rules = this.readRules();
+      this.collectionProductsRequest = null;
       this.lastUpdateTime = 0;
       this.updateDebounceTime = CONFIG.DEBOUNCE_TIME;
       this.monitoringActive = false;
@@ -106,8 +191,9 @@
       // Bind methods to preserve context
       this.handleSectionChange = this.handleSectionChange.bind(this);
       this.handleAddGift = this.handleAddGift.bind(this);
-      this.handleCartUpdate = this.handleCartUpdate.bind(this);
-      this.debouncedCartCheck = this.debouncedCartCheck.bind(this);
+      this.handleSectionClick = this.handleSectionClick.bind(this);
+      this.handleCartChange = this.handleCartChange.bind(this);
+      this.cartChangeUnsubscriber = null;
 
       this.init();
     }
@@ -128,6 +214,275 @@
       this.eventListeners = [];
     }
 
+    // Tiers are rendered as gift pools, sorted here so block order doesn't matter. Without tier blocks the
+    // section renders a single "default" pool, and tiers that have ended are not rendered at all.
+    readTiers() {
+      const tiers = Array.from(this.section.querySelectorAll(".gift-tier-pool"))
+        .map((pool) => ({
+          id: pool.dataset.tierId,
+          threshold: parseInt(pool.dataset.threshold),
+          title: pool.dataset.tierTitle || "",
+          startsAt: Schedule.parse(pool.dataset.startsAt),
+          endsAt: Schedule.parse(pool.dataset.endsAt),
+          claims: this.readClaims(pool),
+          pool,
+        }))
+        .filter((tier) => !isNaN(tier.threshold))
+        .sort((a, b) => a.threshold - b.threshold);
+
+      return tiers;
+    }
+
+    // Claims are signed per variant by the theme, see snippets/gift-claim-signatures.liquid
+    readClaims(pool) {
+      try {
+        const claimsEl = pool.querySelector("[data-gift-claims]");
+        return claimsEl ? JSON.parse(claimsEl.textContent) : null;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    readRules(root = this.section) {
+      let rules = {};
+      try {
+        const rulesEl = root.querySelector("[data-gift-rules]");
+        rules = JSON.parse(rulesEl?.textContent || "{}");
+      } catch (error) {
+        // Silent failure
+      }
+
+      return {
+        collections: rules.collections || [],
+        tags: rules.tags || [],
+        vendors: rules.vendors || [],
+        collectionProducts: {
+          checked: new Set(rules.collectionProducts?.checked || []),
+          matched: new Set(rules.collectionProducts?.matched || []),
+        },
+      };
+    }
+
+    // Collection membership is rendered by the section for the products in the cart. Products added
+    // since the page loaded are looked up by rendering the section again, once for all of them.
+    refreshCollectionProducts() {
+      if (!this.collectionProductsRequest) {
+        this.collectionProductsRequest = fetch(
+          `${window.location.pathname}?section_id=${this.sectionId}`
+        )
+          .then((response) => {
+            if (!response.ok)
+              throw new Error(`Failed to render section: ${response.status}`);
+            return response.text();
+          })
+          .then((html) => {
+            const { checked, matched } = this.readRules(
+              new DOMParser().parseFromString(html, "text/html")
+            ).collectionProducts;
+            checked.forEach((id) =>
+              this.rules.collectionProducts.checked.add(id)
+            );
+            matched.forEach((id) =>
+              this.rules.collectionProducts.matched.add(id)
+            );
+          })
+          .catch(() => {
+            // Unknown products don't qualify until the next cart change
+          })
+          .finally(() => {
+            this.collectionProductsRequest = null;
+          });
+      }
+      return this.collectionProductsRequest;
+    }
+
+    async inQualifyingCollection(item) {
+      const productId = String(item.product_id);
+      if (!this.rules.collectionProducts.checked.has(productId)) {
+        await this.refreshCollectionProducts();
+      }
+      return this.rules.collectionProducts.matched.has(productId);
+    }
+
+    hasRules() {
+      const { collections, tags, vendors } = this.rules;
+      return collections.length > 0 || tags.length > 0 || vendors.length > 0;
+    }
+
+    // Gift and sample lines and gift cards never count toward the threshold
+    isExcludedLine(item) {
+      return (
+        item.gift_card ||
+        item.properties?._is_free_gift === "true" ||
+        item.properties?._is_free_sample === "true"
+      );
+    }
+
+    async lineQualifies(item) {
+      if (!this.hasRules()) return true;
+
+      const { collections, tags, vendors } = this.rules;
+      if (vendors.includes((item.vendor || "").toLowerCase().trim())) {
+        return true;
+      }
+
+      if (tags.length > 0) {
+        const productTags = await QualifyingLookup.getProductTags(item.handle);
+        if (productTags.some((tag) => tags.includes(tag))) return true;
+      }
+
+      if (collections.length > 0 && (await this.inQualifyingCollection(item))) {
+        return true;
+      }
+
+      return false;
+    }
+
+    async calculateQualifyingTotal(cart) {
+      const lines = cart.items.filter((item) => !this.isExcludedLine(item));
+      const qualifies = await Promise.all(
+        lines.map((item) => this.lineQualifies(item))
+      );
+
+      return lines.reduce(
+        (total, item, index) =>
+          qualifies[index] ? total + item.final_line_price : total,
+        0
+      );
+    }
+
+    async setCartData(cart) {
+      this.qualifyingTotal = await this.calculateQualifyingTotal(cart);
+      this.cartData = cart;
+      return cart;
+    }
+
+    // Highest tier reached by the given total
+    getCurrentTier(total) {
+      let current = null;
+      this.getActiveTiers().forEach((tier) => {
+        if (total >= tier.threshold) current = tier;
+      });
+      return current;
+    }
+
+    // Lowest tier not yet reached by the given total
+    getNextTier(total) {
+      return (
+        this.getActiveTiers().find((tier) => total < tier.threshold) || null
+      );
+    }
+
+    getActiveTiers() {
+      return this.tiers.filter((tier) =>
+        Schedule.isActive(tier.startsAt, tier.endsAt)
+      );
+    }
+
+    isCampaignActive() {
+      return (
+        Schedule.isActive(this.campaign.startsAt, this.campaign.endsAt) &&
+        this.getActiveTiers().length > 0
+      );
+    }
+
+    isCardActive(card) {
+      return Schedule.isActive(
+        Schedule.parse(card.dataset.startsAt),
+        Schedule.parse(card.dataset.endsAt)
+      );
+    }
+
+    // Gifts carry the end of the campaign they were claimed from
+    isGiftExpired(giftItem) {
+      const endsAt = Schedule.parse(giftItem.properties?._gift_ends_at);
+      return !!endsAt && Schedule.now() >= endsAt;
+    }
+
+    getGiftEndsAt(gift, tier) {
+      return Schedule.earliest(this.campaign.endsAt, tier.endsAt, gift.endsAt);
+    }
+
+    // Shows and hides gifts as their block opens or ends while the page is open
+    applyCardSchedule() {
+      this.section.querySelectorAll(".gift-product-card").forEach((card) => {
+        const active = this.isCardActive(card);
+        const item = card.closest(".grid__item");
+        if (item) item.hidden = !active;
+
+        const input = card.querySelector(".gift-radio");
+        if (!active && input?.checked) {
+          input.checked = false;
+          this.clearSelectedGift(card.dataset.productId);
+        }
+      });
+    }
+
+    // Re-checks the section when the next campaign window opens or closes
+    scheduleNextCheck() {
+      clearTimeout(this.scheduleTimer);
+
+      const now = Schedule.now();
+      const boundaries = [this.campaign.startsAt, this.campaign.endsAt];
+      this.tiers.forEach((tier) => boundaries.push(tier.startsAt, tier.endsAt));
+      this.section
+        .querySelectorAll(
+          ".gift-product-card[data-starts-at], .gift-product-card[data-ends-at]"
+        )
+        .forEach((card) =>
+          boundaries.push(
+            Schedule.parse(card.dataset.startsAt),
+            Schedule.parse(card.dataset.endsAt)
+          )
+        );
+      if (this.cartData) {
+        this.findGiftsInCart().forEach((item) =>
+          boundaries.push(Schedule.parse(item.properties?._gift_ends_at))
+        );
+      }
+
+      const next = Schedule.earliest(
+        ...boundaries.filter((timestamp) => timestamp > now)
+      );
+      if (!next) return;
+
+      this.scheduleTimer = setTimeout(
+        () => this.updateUI(),
+        Math.min((next - now + 1) * 1000, CONFIG.SCHEDULE_MAX_DELAY)
+      );
+    }
+
+    // Tier a gift line was claimed for, with fallbacks for lines added before tiers existed
+    getGiftTier(giftItem) {
+      const properties = giftItem.properties || {};
+      return (
+        this.tiers.find((tier) => tier.id === properties._gift_tier) ||
+        this.tiers.find(
+          (tier) => tier.threshold === parseInt(properties._threshold_required)
+        ) ||
+        this.tiers[0]
+      );
+    }
+
+    // First available gift of a tier, used when a gift is swapped automatically
+    getDefaultGift(tier) {
+      const card = Array.from(
+        tier.pool?.querySelectorAll(
+          ".gift-product-card[data-default-variant-id]"
+        ) || []
+      ).find((giftCard) => this.isCardActive(giftCard));
+      if (!card) return null;
+
+      return {
+        variantId: card.dataset.defaultVariantId,
+        title: card.dataset.productTitle,
+        price: card.dataset.defaultVariantPrice,
+        image: card.dataset.productImage,
+        tierId: tier.id,
+        endsAt: Schedule.parse(card.dataset.endsAt),
+      };
+    }
+
     async init() {
       try {
         await this.fetchCart();
@@ -148,6 +503,11 @@
         "change",
         this.handleSectionChange
       );
+      this.addEventListenerTracked(
+        this.section,
+        "click",
+        this.handleSectionClick
+      );
 
       const addBtn = this.section.querySelector(".gift-add-btn");
       if (addBtn) {
@@ -163,20 +523,67 @@
       }
     }
 
+    handleSectionClick(e) {
+      const removeBtn = e.target.closest(".gift-remove-btn");
+      if (!removeBtn || !this.cartData) return;
+
+      const giftItem = this.cartData.items.find(
+        (item) => item.key === removeBtn.dataset.lineKey
+      );
+      if (giftItem) {
+        this.removeGift([giftItem], "Gift removed from cart");
+      }
+    }
+
     handleAddGift() {
       this.addGiftToCart();
     }
 
+    setSelectedGift(productId, gift) {
+      if (this.maxPicks === 1) this.selectedGifts.clear();
+      this.selectedGifts.set(productId, gift);
+      this.showSelectedGift();
+      this.updatePicksCounter();
+    }
+
+    // Clears one product's selection, or all of them in single pick mode
+    clearSelectedGift(productId) {
+      if (productId === undefined || this.maxPicks === 1) {
+        this.selectedGifts.clear();
+      } else {
+        this.selectedGifts.delete(productId);
+      }
+
+      if (this.selectedGifts.size > 0) {
+        this.showSelectedGift();
+      } else {
+        this.hideSelectedGift();
+      }
+      this.updatePicksCounter();
+    }
+
     selectProductByRadio(radio) {
       const productCard = radio.closest(".gift-product-card");
       const productId = productCard.dataset.productId;
 
-      // Hide all variant selections first
-      this.section
-        .querySelectorAll(".gift-variant-selection")
-        .forEach((selection) => {
-          selection.style.display = "none";
-        });
+      // Unticking a checkbox in pick N of M mode drops that pick only
+      if (radio.type === "checkbox" && !radio.checked) {
+        const variantSelection = productCard.querySelector(
+          ".gift-variant-selection"
+        );
+        if (variantSelection) variantSelection.style.display = "none";
+        this.clearSelectedGift(productId);
+        return;
+      }
+
+      // Hide all variant selections first, other picks keep theirs in multi pick mode
+      if (this.maxPicks === 1) {
+        this.section
+          .querySelectorAll(".gift-variant-selection")
+          .forEach((selection) => {
+            selection.style.display = "none";
+          });
+      }
 
       // Show variant selection for this product if it has variants
       const variantSelection = productCard.querySelector(
@@ -190,8 +597,7 @@
         if (variantSelect) {
           variantSelect.value = "";
         }
-        this.selectedGift = null;
-        this.hideSelectedGift();
+        this.clearSelectedGift(productId);
         return;
       }
 
@@ -205,28 +611,32 @@
         "";
       const firstVariantId = productCard.dataset.firstVariantId;
       const firstVariantPrice = productCard.dataset.firstVariantPrice;
+      const tierId = productCard.closest(".gift-tier-pool")?.dataset.tierId;
+      const endsAt = Schedule.parse(productCard.dataset.endsAt);
 
       if (firstVariantId && firstVariantPrice) {
-        this.selectedGift = {
+        this.setSelectedGift(productId, {
           variantId: firstVariantId,
           title: productTitle,
           price: firstVariantPrice,
           image: productImage,
-        };
-        this.showSelectedGift();
+          tierId,
+          endsAt,
+        });
       } else {
         // Fallback to API call with retry
         RetryHelper.execute(() => this.getProductVariants(productId))
           .then((product) => {
             if (product?.variants?.length > 0) {
               const firstVariant = product.variants[0];
-              this.selectedGift = {
+              this.setSelectedGift(productId, {
                 variantId: firstVariant.id,
                 title: productTitle,
                 price: firstVariant.price,
                 image: productImage,
-              };
-              this.showSelectedGift();
+                tierId,
+                endsAt,
+              });
             }
           })
           .catch((error) => {
@@ -246,39 +656,21 @@
       if (this.monitoringActive) return;
       this.monitoringActive = true;
 
-      // Listen to Dawn theme cart events if available
+      // The cart store publishes every change made through the theme's cart client
       if (
         typeof subscribe !== "undefined" &&
         typeof PUB_SUB_EVENTS !== "undefined"
       ) {
-        subscribe(PUB_SUB_EVENTS.cartUpdate, this.handleCartUpdate);
+        this.cartChangeUnsubscriber = subscribe(
+          PUB_SUB_EVENTS.cartStateChange,
+          this.handleCartChange
+        );
       }
 
       this.attachCartListeners();
     }
 
     attachCartListeners() {
-      // Listen to cart form submissions
-      this.addEventListenerTracked(document, "submit", (e) => {
-        if (e.target.matches('form[action*="/cart"]')) {
-          setTimeout(() => this.debouncedUpdate(), 500);
-        }
-      });
-
-      // Listen to quantity changes
-      this.addEventListenerTracked(document, "change", (e) => {
-        if (e.target.matches('.quantity__input, input[name="updates[]"]')) {
-          setTimeout(() => this.debouncedUpdate(), 300);
-        }
-      });
-
-      // Listen to remove button clicks
-      this.addEventListenerTracked(document, "click", (e) => {
-        if (e.target.closest("cart-remove-button, .cart-remove")) {
-          setTimeout(() => this.debouncedUpdate(), 500);
-        }
-      });
-
       // Listen to cart drawer events
       this.addEventListenerTracked(document, "cart:update", () => {
         this.debouncedUpdate();
@@ -290,15 +682,25 @@
       });
     }
 
-    async handleCartUpdate(event) {
-      // Skip if this update was triggered by our gift manager
+    async handleCartChange(event) {
+      // Predictions only move the progress bar, gifts follow the confirmed cart
+      if (event.optimistic) {
+        this.previewProgress(event.cart);
+        return;
+      }
+
+      // Gift changes in progress update the UI themselves once they finish
       if (
-        event?.source === "free-gift-add" ||
-        event?.source === "free-gift-remove"
+        TransactionLock.isLocked("add-gift") ||
+        TransactionLock.isLocked("remove-gift") ||
+        TransactionLock.isLocked("swap-gift") ||
+        event.cart === this.cartData
       ) {
         return;
       }
-      await this.debouncedUpdate();
+
+      await this.setCartData(event.cart);
+      this.updateUI();
     }
 
     async debouncedUpdate() {
@@ -316,30 +718,8 @@
       }
     }
 
-    async debouncedCartCheck() {
-      try {
-        const response = await fetch(window.Shopify.routes.root + "cart.js");
-        const currentCart = await response.json();
-
-        if (currentCart.total_price !== this.lastCartTotal) {
-          this.lastCartTotal = currentCart.total_price;
-          this.cartData = currentCart;
-          this.updateUI();
-        }
-      } catch (error) {
-        // Silent failure
-      }
-    }
-
     async fetchCart() {
-      const response = await fetch(window.Shopify.routes.root + "cart.js");
-      if (!response.ok)
-        throw new Error(`Failed to fetch cart: ${response.status}`);
-
-      this.cartData = await response.json();
-      this.lastCartTotal = this.cartData.total_price;
-
-      return this.cartData;
+      return this.setCartData(await fetchCartState());
     }
 
     updateUI() {
@@ -352,9 +732,36 @@
       };
 
       // Consolidated gift detection
-      const giftItem = this.findGiftInCart();
-      const hasGift = !!giftItem;
-      const thresholdMet = this.cartData.total_price >= this.threshold;
+      const giftItems = this.findGiftsInCart();
+      const hasGift = giftItems.length > 0;
+      const currentTier = this.getCurrentTier(this.qualifyingTotal);
+      const thresholdMet = !!currentTier;
+
+      this.scheduleNextCheck();
+
+      // Outside the campaign window the section is hidden and its gifts removed
+      const campaignActive = this.isCampaignActive();
+      this.section.hidden = !campaignActive;
+      if (!campaignActive) {
+        if (hasGift) {
+          this.removeGift(
+            giftItems,
+            "The free gift campaign has ended, so your gift was removed"
+          );
+        }
+        return;
+      }
+
+      const expiredGifts = giftItems.filter((item) => this.isGiftExpired(item));
+      if (expiredGifts.length > 0) {
+        this.removeGift(
+          expiredGifts,
+          "The gift offer has ended, so the gift was removed from your cart"
+        );
+        return;
+      }
+
+      this.applyCardSchedule();
 
       // Check if gift needs to be removed (has gift but threshold not met)
       if (hasGift && !thresholdMet) {
@@ -362,6 +769,36 @@
         return;
       }
 
+      // Drop gifts beyond the number of picks allowed
+      if (giftItems.length > this.maxPicks) {
+        this.removeGift(
+          giftItems.slice(this.maxPicks),
+          "Gift removed (too many gifts in cart)"
+        );
+        return;
+      }
+
+      // Move gifts to the tier the cart qualifies for after crossing a boundary
+      const staleGifts = giftItems.filter(
+        (item) => this.getGiftTier(item) !== currentTier
+      );
+      if (staleGifts.length > 0) {
+        this.swapGift(staleGifts, currentTier);
+        return;
+      }
+
+      this.syncGiftClaims(giftItems);
+
+      // Automatic mode adds the tier's gift instead of showing the selector
+      if (!thresholdMet) this.failedAutoTierId = null;
+      const autoGift =
+        this.mode === "auto" && thresholdMet && !hasGift
+          ? this.getDefaultGift(currentTier)
+          : null;
+      if (autoGift && this.failedAutoTierId !== currentTier.id) {
+        this.autoAddGift(autoGift, currentTier);
+      }
+
       // Hide all states first
       Object.values(states).forEach((state) => {
         if (state) {
@@ -372,7 +809,7 @@
       });
 
       // Show appropriate state with immediate visibility
-      if (hasGift) {
+      if (giftItems.length >= this.maxPicks) {
         if (states.success) {
           this.updateSuccessInfo();
           states.success.style.display = "block";
@@ -381,8 +818,9 @@
           states.success.classList.add("loaded");
           states.success.offsetHeight; // Force reflow
         }
-      } else if (thresholdMet) {
+      } else if (thresholdMet && this.mode === "choose") {
         if (states.selector) {
+          this.showTierPool(currentTier);
           states.selector.style.display = "block";
           states.selector.style.visibility = "visible";
         }
@@ -393,11 +831,139 @@
           this.updateProgress();
         }
       }
+
+      this.updateGiftsInCart(giftItems);
+      this.updatePicksCounter();
+      this.updateTierLadder(currentTier);
+    }
+
+    showTierPool(tier) {
+      this.tiers.forEach(({ pool }) => {
+        if (pool) pool.hidden = pool !== tier.pool;
+      });
+
+      // A selection made in another tier's pool can no longer be added
+      const hasStaleSelection = Array.from(this.selectedGifts.values()).some(
+        (gift) => gift.tierId !== tier.id
+      );
+      if (hasStaleSelection) {
+        this.section
+          .querySelectorAll(".gift-radio:checked")
+          .forEach((radio) => (radio.checked = false));
+        this.clearSelectedGift();
+      }
+    }
+
+    // Counts gifts in the cart and ticked cards against the number of picks allowed
+    updatePicksCounter() {
+      if (this.maxPicks === 1) return;
+
+      const giftsInCart = this.cartData ? this.findGiftsInCart().length : 0;
+      const picked = this.section.querySelectorAll(
+        ".gift-radio:checked"
+      ).length;
+      const picksLeft = Math.max(0, this.maxPicks - giftsInCart - picked);
+
+      const counter = this.section.querySelector(".gift-picks-counter");
+      if (counter) {
+        const template =
+          picksLeft === 1
+            ? counter.dataset.templateOne
+            : counter.dataset.templateOther;
+        counter.textContent = (template || "").replace("[count]", picksLeft);
+      }
+
+      this.section.querySelectorAll(".gift-radio").forEach((input) => {
+        input.disabled = !input.checked && picksLeft === 0;
+      });
+    }
+
+    updateGiftsInCart(giftItems) {
+      const container = this.section.querySelector(".gift-in-cart");
+      if (!container) return;
+
+      container.hidden = giftItems.length === 0;
+      const list = container.querySelector(".gift-in-cart-list");
+      if (!list) return;
+
+      const removeLabel = container.dataset.removeLabel || "";
+      // Titles come from the cart, build the nodes so they are never parsed as markup
+      list.replaceChildren(
+        ...giftItems.map((item) => {
+          const title = this.getGiftTitle(item);
+          const listItem = document.createElement("li");
+          listItem.className = "gift-in-cart-item";
+          listItem.dataset.lineKey = item.key;
+
+          const titleEl = document.createElement("span");
+          titleEl.className = "gift-in-cart-title";
+          titleEl.textContent = title;
+
+          const button = document.createElement("button");
+          button.type = "button";
+          button.className = "button button--tertiary gift-remove-btn";
+          button.dataset.lineKey = item.key;
+          button.setAttribute("aria-label", `${removeLabel}: ${title}`);
+          button.textContent = removeLabel;
+
+          listItem.append(titleEl, button);
+          return listItem;
+        })
+      );
+    }
+
+    updateTierLadder(currentTier) {
+      const total = this.qualifyingTotal;
+      const nextTier = this.getNextTier(total);
+
+      const nextTierEl = this.section.querySelector(".gift-next-tier");
+      if (nextTierEl) {
+        nextTierEl.hidden = !currentTier || !nextTier;
+
+        if (currentTier && nextTier) {
+          const messageEl = nextTierEl.querySelector(".gift-next-tier-message");
+          if (messageEl) {
+            const template = nextTierEl.dataset.messageTemplate || "";
+            // The template and the tier title are text, only the amount gets an element
+            messageEl.replaceChildren(
+              ...template.split(/(\[amount\]|\[tier\])/).map((part) => {
+                if (part === "[tier]") return nextTier.title;
+                if (part !== "[amount]") return part;
+
+                const amount = document.createElement("span");
+                amount.className = "gift-amount";
+                amount.textContent = this.formatMoney(
+                  nextTier.threshold - total
+                );
+                return amount;
+              })
+            );
+          }
+
+          const fill = nextTierEl.querySelector(".gift-next-tier-fill");
+          if (fill) {
+            fill.style.width =
+              Math.min((total / nextTier.threshold) * 100, 100) + "%";
+          }
+        }
+      }
+
+      const activeTiers = this.getActiveTiers();
+      this.section.querySelectorAll(".gift-tier-step").forEach((step) => {
+        const tier = activeTiers.find((t) => t.id === step.dataset.tierId);
+        step.hidden = !tier;
+        step.classList.toggle("is-reached", !!tier && total >= tier.threshold);
+        step.classList.toggle("is-next", !!tier && tier === nextTier);
+      });
     }
 
     // Consolidated gift detection method
     findGiftInCart() {
-      return this.cartData.items.find(
+      return this.findGiftsInCart()[0];
+    }
+
+    findGiftsInCart() {
+      return this.cartData.items.filter(
         (item) =>
           item.properties &&
           (item.properties._is_free_gift === "true" ||
@@ -405,21 +971,39 @@
       );
     }
 
-    updateProgress() {
+    getGiftTitle(giftItem) {
+      let title = giftItem.product_title;
+      if (
+        giftItem.variant_title &&
+        giftItem.variant_title !== "Default Title"
+      ) {
+        title += " - " + giftItem.variant_title;
+      }
+      return title;
+    }
+
+    async previewProgress(cart) {
+      const total = await this.calculateQualifyingTotal(cart);
+      this.updateProgress(total, cart.item_count);
+    }
+
+    updateProgress(
+      total = this.qualifyingTotal,
+      itemCount = this.cartData?.item_count
+    ) {
       if (!this.cartData) return;
 
-      const remaining = Math.max(0, this.threshold - this.cartData.total_price);
-      const percentage = Math.min(
-        (this.cartData.total_price / this.threshold) * 100,
-        100
-      );
+      const nextTier = this.getNextTier(total);
+      const target = nextTier ? nextTier.threshold : this.threshold;
+      const remaining = Math.max(0, target - total);
+      const percentage = Math.min((total / target) * 100, 100);
 
       // Update gift message
       const messageEl = this.section.querySelector(
         ".gift-state--progress .gift-message"
       );
       if (messageEl) {
-        if (this.cartData.total_price === 0) {
+        if (itemCount === 0) {
           messageEl.textContent =
             "Your cart is empty. Add products to receive a free gift!";
         } else if (remaining > 0) {
@@ -446,14 +1030,14 @@
         `#progress-current-${this.sectionId}`
       );
       if (currentEl) {
-        currentEl.textContent = this.formatMoney(this.cartData.total_price);
+        currentEl.textContent = this.formatMoney(total);
       }
 
       const targetEl = this.section.querySelector(
         `#progress-target-${this.sectionId}`
       );
       if (targetEl) {
-        targetEl.textContent = this.formatMoney(this.threshold);
+        targetEl.textContent = this.formatMoney(target);
       }
 
       const percentageEl = this.section.querySelector(
@@ -465,32 +1049,32 @@
     }
 
     updateSuccessInfo() {
-      const giftItem = this.findGiftInCart();
+      const giftItems = this.findGiftsInCart();
 
-      if (giftItem) {
+      if (giftItems.length > 0) {
         const infoEl = this.section.querySelector(".gift-selected-info-text");
         if (infoEl) {
-          let title = giftItem.product_title;
-          if (
-            giftItem.variant_title &&
-            giftItem.variant_title !== "Default Title"
-          ) {
-            title += " - " + giftItem.variant_title;
-          }
-          infoEl.innerHTML = `Selected gift: <strong>${title}</strong>`;
+          const title = giftItems
+            .map((item) => this.getGiftTitle(item))
+            .join(", ");
+          const strong = document.createElement("strong");
+          strong.textContent = title;
+          infoEl.replaceChildren("Selected gift: ", strong);
           infoEl.style.opacity = "1";
         }
       }
     }
 
     selectVariant(select) {
+      const productCard = select.closest(".gift-product-card");
+      const productId = productCard.dataset.productId;
+
       if (!select.value) {
-        this.selectedGift = null;
-        this.hideSelectedGift();
+        this.clearSelectedGift(productId);
         return;
       }
 
-      const selectedRadio = this.section.querySelector(
+      const selectedRadio = productCard.querySelector(
         'input[name^="gift-selection"]:checked'
       );
       if (!selectedRadio) {
@@ -498,13 +1082,12 @@
         return;
       }
 
-      const productCard = select.closest(".gift-product-card");
       const option = select.options[select.selectedIndex];
       const productTitle = productCard
         .querySelector(".gift-card-heading")
         .textContent.trim();
 
-      this.selectedGift = {
+      this.setSelectedGift(productId, {
         variantId: select.value,
         title:
           productTitle +
@@ -513,9 +1096,9 @@
             : ""),
         price: option.dataset.price,
         image: option.dataset.image,
-      };
-
-      this.showSelectedGift();
+        tierId: productCard.closest(".gift-tier-pool")?.dataset.tierId,
+        endsAt: Schedule.parse(productCard.dataset.endsAt),
+      });
     }
 
     hideSelectedGift() {
@@ -527,19 +1110,21 @@
 
     showSelectedGift() {
       const selectedDiv = this.section.querySelector(".gift-selected");
-      if (!selectedDiv || !this.selectedGift) return;
+      const gifts = Array.from(this.selectedGifts.values());
+      if (!selectedDiv || gifts.length === 0) return;
 
-      // Update image
+      // Update image with the latest pick
+      const latestGift = gifts[gifts.length - 1];
       const img = selectedDiv.querySelector(".gift-selected-image");
-      if (img && this.selectedGift.image) {
-        img.src = this.selectedGift.image;
-        img.alt = this.selectedGift.title;
+      if (img && latestGift.image) {
+        img.src = latestGift.image;
+        img.alt = latestGift.title;
       }
 
       // Update title
       const titleEl = selectedDiv.querySelector(".gift-selected-title");
       if (titleEl) {
-        titleEl.textContent = this.selectedGift.title;
+        titleEl.textContent = gifts.map((gift) => gift.title).join(", ");
       }
 
       // Show with smooth animation
@@ -549,17 +1134,20 @@
     }
 
     async addGiftToCart() {
-      if (this.isProcessing || !this.selectedGift) return;
+      const gifts = Array.from(this.selectedGifts.values());
+      if (this.isProcessing || gifts.length === 0) return;
 
       const lockKey = "add-gift";
       if (!TransactionLock.acquire(lockKey)) {
         return;
       }
 
+      let added = false;
       try {
         // Security check - verify threshold is met
         await this.fetchCart();
-        if (this.cartData.total_price < this.threshold) {
+        const tier = this.getCurrentTier(this.qualifyingTotal);
+        if (!tier) {
           this.showNotification(
             "Cart does not meet the required threshold",
             "error"
@@ -568,55 +1156,55 @@
           return;
         }
 
-        // Check if gift already exists
-        const existingGift = this.findGiftInCart();
-        if (existingGift) {
+        if (gifts.some((gift) => gift.tierId && gift.tierId !== tier.id)) {
+          this.showNotification(
+            "This gift is not available for your cart value",
+            "error"
+          );
+          this.updateUI();
+          return;
+        }
+
+        // Check if gift already exists or all picks are used
+        const giftsInCart = this.findGiftsInCart();
+        const alreadyInCart = gifts.some((gift) =>
+          giftsInCart.some(
+            (item) => String(item.variant_id) === String(gift.variantId)
+          )
+        );
+        if (alreadyInCart || giftsInCart.length >= this.maxPicks) {
           this.showNotification("Gift is already in cart", "warning");
           return;
         }
+        if (giftsInCart.length + gifts.length > this.maxPicks) {
+          this.showNotification(
+            `You can choose up to ${this.maxPicks} gifts`,
+            "warning"
+          );
+          return;
+        }
 
         const button = this.section.querySelector(".gift-add-btn");
         if (!button) return;
 
         this.setButtonLoading(button, true);
 
-        const formData = {
-          items: [
-            {
-              id: parseInt(this.selectedGift.variantId),
-              quantity: 1,
-              properties: {
-                _is_free_gift: "true",
-                _original_price: this.selectedGift.price,
-                _threshold_required: this.threshold.toString(),
-                _disable_link: "true",
-              },
-            },
-          ],
-        };
-
-        await RetryHelper.execute(async () => {
-          const response = await fetch(
-            window.Shopify.routes.root + "cart/add.js",
-            {
-              method: "POST",
-              headers: { "Content-Type": "application/json" },
-              body: JSON.stringify(formData),
-            }
-          );
-
-          if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.description || `HTTP ${response.status}`);
-          }
-          return response.json();
-        });
-
-        this.showNotification("Gift has been added to cart!", "success");
+        await RetryHelper.execute(() => this.postGiftLines(gifts, tier));
+
+        this.section
+          .querySelectorAll(".gift-radio:checked")
+          .forEach((radio) => (radio.checked = false));
+        this.clearSelectedGift();
+        this.showNotification(
+          gifts.length > 1
+            ? "Gifts have been added to cart!"
+            : "Gift has been added to cart!",
+          "success"
+        );
 
-        // Refresh cart data and update UI immediately
+        // Refresh cart data for the update once the lock is released
         await this.fetchCart();
-        this.updateUI();
+        added = true;
 
         // Trigger cart update event
         if (
@@ -632,6 +1220,63 @@
         if (button) this.setButtonLoading(button, false);
         TransactionLock.release(lockKey);
       }
+
+      // Updated after releasing the lock so the new gift's claim is stored
+      if (added) this.updateUI();
+    }
+
+    // Adds the gift without a selection step, guarded like the manual add
+    async autoAddGift(gift, tier) {
+      const lockKey = "add-gift";
+      if (
+        TransactionLock.isLocked("remove-gift") ||
+        TransactionLock.isLocked("swap-gift") ||
+        !TransactionLock.acquire(lockKey)
+      ) {
+        return;
+      }
+
+      let added = false;
+      try {
+        // Security check - the cart may have changed since the last update
+        await this.fetchCart();
+        const currentTier = this.getCurrentTier(this.qualifyingTotal);
+        if (currentTier !== tier || this.findGiftsInCart().length > 0) return;
+
+        this.section.classList.add("gift-threshold-loading");
+
+        await RetryHelper.execute(() => this.postGiftLines([gift], tier));
+        await this.fetchCart();
+        added = true;
+
+        this.showNotification(
+          `${gift.title} has been added to your cart as a free gift!`,
+          "success"
+        );
+        this.updateCartUI(this.cartData);
+
+        // Trigger cart update event
+        if (
+          typeof publish !== "undefined" &&
+          typeof PUB_SUB_EVENTS !== "undefined"
+        ) {
+          publish(PUB_SUB_EVENTS.cartUpdate, {
+            source: "free-gift-add",
+            cartData: this.cartData,
+          });
+        }
+      } catch (error) {
+        // Don't retry on every cart check, e.g. when the gift sold out
+        this.failedAutoTierId = tier.id;
+        this.showNotification("Cannot add gift: " + error.message, "error");
+      } finally {
+        this.section.classList.remove("gift-threshold-loading");
+        TransactionLock.release(lockKey);
+      }
+
+      // Re-run after releasing the lock so a threshold lost mid-add is removed
+      if (added) this.failedAutoTierId = null;
+      this.updateUI();
     }
 
     setButtonLoading(button, loading) {
@@ -656,40 +1301,30 @@
       }
     }
 
-    async removeGift() {
+    async removeGift(
+      giftItems = this.findGiftsInCart(),
+      message = "Gift removed (cart below threshold)"
+    ) {
       const lockKey = "remove-gift";
       if (!TransactionLock.acquire(lockKey)) {
         return;
       }
 
+      let removed = false;
       try {
-        const giftItem = this.findGiftInCart();
-        if (!giftItem) return;
+        if (giftItems.length === 0) return;
 
         this.section.classList.add("gift-threshold-loading");
 
-        const updatedCart = await RetryHelper.execute(async () => {
-          const response = await fetch(
-            window.Shopify.routes.root + "cart/change.js",
-            {
-              method: "POST",
-              headers: { "Content-Type": "application/json" },
-              body: JSON.stringify({ id: giftItem.key, quantity: 0 }),
-            }
-          );
-
-          if (!response.ok) {
-            throw new Error(`Failed to remove gift: ${response.status}`);
-          }
-          return response.json();
-        });
+        const updatedCart = await RetryHelper.execute(() =>
+          this.removeCartLines(giftItems.map((item) => item.key))
+        );
 
-        this.cartData = updatedCart;
-        this.lastCartTotal = updatedCart.total_price;
+        await this.setCartData(updatedCart);
+        removed = true;
 
-        this.showNotification("Gift removed (cart below threshold)", "warning");
+        this.showNotification(message, "warning");
         this.updateCartUI(updatedCart);
-        this.updateUI();
 
         // Trigger cart update event
         if (
@@ -707,6 +1342,224 @@
         this.section.classList.remove("gift-threshold-loading");
         TransactionLock.release(lockKey);
       }
+
+      // Updated after releasing the lock so the removed gift's claim is dropped
+      if (removed) this.updateUI();
+    }
+
+    // Replaces gifts claimed for another tier with the default gift of this one
+    async swapGift(giftItems, tier) {
+      const lockKey = "swap-gift";
+      if (
+        TransactionLock.isLocked("add-gift") ||
+        TransactionLock.isLocked("remove-gift") ||
+        !TransactionLock.acquire(lockKey)
+      ) {
+        return;
+      }
+
+      let swapped = false;
+      try {
+        const isUpgrade =
+          tier.threshold > this.getGiftTier(giftItems[0]).threshold;
+        const keptGifts = this.findGiftsInCart().filter(
+          (item) => !giftItems.includes(item)
+        );
+        let replacement = this.getDefaultGift(tier);
+        if (
+          keptGifts.length >= this.maxPicks ||
+          keptGifts.some(
+            (item) => String(item.variant_id) === String(replacement?.variantId)
+          )
+        ) {
+          replacement = null;
+        }
+
+        this.section.classList.add("gift-threshold-loading");
+
+        let updatedCart = await RetryHelper.execute(() =>
+          this.removeCartLines(giftItems.map((item) => item.key))
+        );
+
+        if (replacement) {
+          await RetryHelper.execute(() =>
+            this.postGiftLines([replacement], tier)
+          );
+          updatedCart = await this.fetchCart();
+        }
+
+        await this.setCartData(updatedCart);
+        swapped = true;
+
+        if (!replacement) {
+          this.showNotification("Gift removed (cart changed tier)", "warning");
+        } else if (isUpgrade) {
+          this.showNotification(
+            `Your gift has been upgraded to ${replacement.title}`,
+            "success"
+          );
+        } else {
+          this.showNotification(
+            `Your gift has been changed to ${replacement.title}`,
+            "warning"
+          );
+        }
+
+        this.updateCartUI(updatedCart);
+
+        // Trigger cart update event
+        if (
+          typeof publish !== "undefined" &&
+          typeof PUB_SUB_EVENTS !== "undefined"
+        ) {
+          publish(PUB_SUB_EVENTS.cartUpdate, {
+            source: "free-gift-swap",
+            cartData: updatedCart,
+          });
+        }
+      } catch (error) {
+        this.showNotification("Error updating gift", "error");
+      } finally {
+        this.section.classList.remove("gift-threshold-loading");
+        TransactionLock.release(lockKey);
+      }
+
+      // Updated after releasing the lock so the replacement's claim is stored
+      if (swapped) this.updateUI();
+    }
+
+    // One signed claim per gift line. Stored claims are kept until they are due for refresh, then replaced
+    // by the claim signed with this page when that one is newer
+    buildGiftClaims(giftItems) {
+      let stored = [];
+      try {
+        stored =
+          JSON.parse(this.cartData.attributes?.[CONFIG.CLAIM_ATTRIBUTE] || "{}")
+            .gifts || [];
+      } catch (error) {
+        // Silent failure
+      }
+
+      return giftItems
+        .map((item) => {
+          const tier = this.getGiftTier(item);
+          const existing = stored.find(
+            (claim) =>
+              String(claim.variant_id) === String(item.variant_id) &&
+              claim.tier === tier.id &&
+              claim.threshold === tier.threshold
+          );
+          if (
+            existing &&
+            Schedule.now() - existing.issued_at < CONFIG.CLAIM_REFRESH_AGE
+          ) {
+            return existing;
+          }
+
+          const signature = tier.claims?.signatures?.[item.variant_id];
+          if (!signature || existing?.issued_at >= tier.claims.issued_at) {
+            return existing || null;
+          }
+
+          return {
+            variant_id: item.variant_id,
+            tier: tier.id,
+            threshold: tier.threshold,
+            issued_at: tier.claims.issued_at,
+            signature,
+          };
+        })
+        .filter(Boolean);
+    }
+
+    // Stores the claims as a cart attribute so the discount function can check them at checkout
+    async syncGiftClaims(giftItems) {
+      const lockKey = "sync-claims";
+      if (
+        TransactionLock.isLocked("add-gift") ||
+        TransactionLock.isLocked("remove-gift") ||
+        TransactionLock.isLocked("swap-gift") ||
+        !TransactionLock.acquire(lockKey)
+      ) {
+        return;
+      }
+
+      try {
+        const gifts = this.buildGiftClaims(giftItems);
+        const value =
+          gifts.length > 0 ? JSON.stringify({ version: 1, gifts }) : "";
+        const current =
+          this.cartData.attributes?.[CONFIG.CLAIM_ATTRIBUTE] || "";
+        if (value === current) return;
+
+        const response = await cartRequest(
+          window.Shopify.routes.root + "cart/update.js",
+          {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+              attributes: { [CONFIG.CLAIM_ATTRIBUTE]: value },
+            }),
+          }
+        );
+        if (response.ok) {
+          this.cartData.attributes = (await response.json()).attributes;
+        }
+      } catch (error) {
+        // Silent failure
+      } finally {
+        TransactionLock.release(lockKey);
+      }
+    }
+
+    async postGiftLines(gifts, tier) {
+      const response = await cartRequest(
+        window.Shopify.routes.root + "cart/add.js",
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            items: gifts.map((gift) => {
+              const properties = {
+                _is_free_gift: "true",
+                _original_price: gift.price,
+                _threshold_required: tier.threshold.toString(),
+                _gift_tier: tier.id,
+                _disable_link: "true",
+              };
+              const endsAt = this.getGiftEndsAt(gift, tier);
+              if (endsAt) properties._gift_ends_at = endsAt.toString();
+
+              return { id: parseInt(gift.variantId), quantity: 1, properties };
+            }),
+          }),
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.description || `HTTP ${response.status}`);
+      }
+      return response.json();
+    }
+
+    async removeCartLines(keys) {
+      const updates = {};
+      keys.forEach((key) => (updates[key] = 0));
+
+      const response = await cartRequest(
+        window.Shopify.routes.root + "cart/update.js",
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ updates }),
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error(`Failed to remove gift: ${response.status}`);
+      }
+      return response.json();
     }
 
     updateCartUI(cartData) {
@@ -746,11 +1599,11 @@
 
     // Enhanced money formatting with dynamic currency
     formatMoney(cents) {
-      if (window.Shopify?.formatMoney) {
-        const format =
-          window.theme?.moneyFormat ||
-          window.Shopify.money_format ||
-          this.getDefaultMoneyFormat();
+      const format =
+        window.theme?.moneyFormat ||
+        window.Shopify?.money_format ||
+        this.getDefaultMoneyFormat();
+      if (window.Shopify?.formatMoney && /\{\{\s*\w+\s*\}\}/.test(format)) {
         return window.Shopify.formatMoney(cents, format);
       }
 
@@ -893,6 +1746,10 @@
       this.isProcessing = false;
       TransactionLock.release("add-gift");
       TransactionLock.release("remove-gift");
+      TransactionLock.release("swap-gift");
+      TransactionLock.release("sync-claims");
+      clearTimeout(this.scheduleTimer);
+      if (this.cartChangeUnsubscriber) this.cartChangeUnsubscriber();
     }
   }
 
@@ -946,13 +1803,6 @@
     }
 
     attachProtectionListeners() {
-      // Listen to quantity changes
-      this.addEventListenerTracked(document, "change", (e) => {
-        if (e.target.matches(".quantity__input")) {
-          setTimeout(() => this.protectGiftQuantities(), 200);
-        }
-      });
-
       // Listen to cart updates
       this.addEventListenerTracked(document, "cart:update", () => {
         setTimeout(() => this.protectGiftQuantities(), 200);
@@ -998,8 +1848,7 @@
       this.lastProtectionRun = now;
 
       try {
-        const response = await fetch(window.Shopify.routes.root + "cart.js");
-        const cart = await response.json();
+        const cart = await getCartState();
 
         // Only update if cart has changed
         if (
@@ -1026,15 +1875,15 @@
           }
         });
 
-        // Only disable gift items using cart data
+        // Only disable gift items using cart data, by line so several gifts or a
+        // gift sharing a variant with a paid line are handled in cart and drawer alike
         cart.items.forEach((item, index) => {
           if (this.isGiftItem(item)) {
-            const input =
-              document.querySelector(
-                `input[data-quantity-variant-id="${item.variant_id}"]`
-              ) || document.querySelector(`#Quantity-${index + 1}`);
+            const inputs = document.querySelectorAll(
+              `#Quantity-${index + 1}, #Drawer-quantity-${index + 1}`
+            );
 
-            if (input) {
+            inputs.forEach((input) => {
               input.disabled = true;
               input.readOnly = true;
               input.value = 1;
@@ -1047,7 +1896,7 @@
                   btn.style.cursor = "not-allowed";
                 });
               }
-            }
+            });
           }
         });
       } catch (error) {
@@ -1073,14 +1922,21 @@
     }
   };
 
+  // Sections whose tiers have all ended render no gift pool and stay hidden
+  function createGiftManager(section) {
+    if (section.giftManager) {
+      section.giftManager.destroy();
+    }
+    section.giftManager = section.querySelector(".gift-tier-pool")
+      ? new FreeGiftManager(section)
+      : null;
+  }
+
   // Initialize gift managers
   function initGiftThreshold() {
-    document.querySelectorAll(".free-gift-threshold").forEach((section) => {
-      if (section.giftManager) {
-        section.giftManager.destroy();
-      }
-      section.giftManager = new FreeGiftManager(section);
-    });
+    document
+      .querySelectorAll(".free-gift-threshold")
+      .forEach(createGiftManager);
 
     if (!cartProtection && document.querySelector(".free-gift-threshold")) {
       cartProtection = new CartGiftProtection();
@@ -1097,19 +1953,12 @@
   // Shopify section events
   document.addEventListener("shopify:section:load", (event) => {
     const section = event.target.querySelector(".free-gift-threshold");
-    if (section) {
-      if (section.giftManager) {
-        section.giftManager.destroy();
-      }
-      section.giftManager = new FreeGiftManager(section);
-    }
+    if (section) createGiftManager(section);
   });
 
   document.addEventListener("shopify:block:select", (event) => {
     const section = event.target.closest(".free-gift-threshold");
-    if (section && !section.giftManager) {
-      section.giftManager = new FreeGiftManager(section);
-    }
+    if (section && !section.giftManager) createGiftManager(section);
   });
 
   window.addEventListener("beforeunload", () => {
@@ -307,6 +307,157 @@ function fetchConfig(type = 'json') {
   };
 }
 
+/*
+ * Session cache
+ *
+ * A Map of at most maxEntries values, kept in sessionStorage under storageKey so it lasts for the visit.
+ * Reading an entry makes it the most recently used, and the least recently used entries are evicted first,
+ * also when the storage quota runs out. Entries can be large, so changes are written when the page is hidden
+ * rather than on every set.
+ */
+class SessionCache {
+  constructor(storageKey, maxEntries) {
+    this.storageKey = storageKey;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.changed = false;
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(storageKey));
+      if (Array.isArray(stored)) this.entries = new Map(stored.slice(-maxEntries));
+    } catch (e) {}
+
+    window.addEventListener('pagehide', () => this.persist());
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.persist();
+    });
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) return null;
+
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    while (this.entries.size > this.maxEntries) this.entries.delete(this.entries.keys().next().value);
+    this.changed = true;
+  }
+
+  persist() {
+    if (!this.changed) return;
+
+    this.changed = false;
+    while (this.entries.size) {
+      try {
+        sessionStorage.setItem(this.storageKey, JSON.stringify(Array.from(this.entries)));
+        return;
+      } catch (e) {
+        // Without storage the cache lasts until the page unloads
+        if (e.name !== 'QuotaExceededError') return;
+        this.entries.delete(this.entries.keys().next().value);
+      }
+    }
+  }
+}
+
+/*
+ * Cart client
+ *
+ * Every cart request made by the theme goes through CartClient.request, so middleware can inspect it.
+ * Before-request middleware receives the request and may return a Response to stop it from being sent.
+ * After-response middleware receives the request and the response, and may return a replacement response.
+ * A request that gets no answer at all rejects with a CartNetworkError.
+ */
+class CartNetworkError extends Error {
+  constructor(cause) {
+    super(cause.message, { cause });
+    this.name = 'CartNetworkError';
+  }
+}
+
+class CartClient {
+  static #beforeRequest = [];
+  static #afterResponse = [];
+
+  static beforeRequest(middleware) {
+    CartClient.#beforeRequest.push(middleware);
+    return () => CartClient.#remove(CartClient.#beforeRequest, middleware);
+  }
+
+  static afterResponse(middleware) {
+    CartClient.#afterResponse.push(middleware);
+    return () => CartClient.#remove(CartClient.#afterResponse, middleware);
+  }
+
+  static async request(url, options = {}) {
+    const request = { url, action: CartClient.getAction(url), options: { method: 'GET', ...options } };
+
+    let response;
+    for (const middleware of CartClient.#beforeRequest) {
+      response = await middleware(request);
+      if (response instanceof Response) break;
+    }
+
+    if (!(response instanceof Response)) {
+      try {
+        response = await fetch(request.url, request.options);
+      } catch (error) {
+        // Only the request itself failing means the server never saw it, aborted requests were cancelled on purpose
+        if (error.name === 'AbortError') throw error;
+        throw new CartNetworkError(error);
+      }
+    }
+
+    for (const middleware of CartClient.#afterResponse) {
+      response = (await middleware(request, response)) || response;
+    }
+
+    return response;
+  }
+
+  // add, change, update, clear or get
+  static getAction(url) {
+    const match = String(url).match(/\/cart(?:\/(add|change|update|clear))?(?:\.js)?(?:[?#]|$)/);
+    return match ? match[1] || 'get' : null;
+  }
+
+  // Items of an add request, from a product form's FormData or a JSON body
+  static getItems(body) {
+    if (body instanceof FormData) {
+      if (!body.has('id')) return [];
+
+      const properties = {};
+      body.forEach((value, key) => {
+        const match = key.match(/^properties\[(.+)\]$/);
+        if (match) properties[match[1]] = value;
+      });
+      return [{ id: body.get('id'), quantity: body.get('quantity') || 1, properties }];
+    }
+
+    try {
+      const parsed = typeof body === 'string' ? JSON.parse(body) : body || {};
+      const items = Array.isArray(parsed.items) ? parsed.items : parsed.id ? [parsed] : [];
+      return items.map((item) => ({ ...item, properties: item.properties || {} }));
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static #remove(list, middleware) {
+    const index = list.indexOf(middleware);
+    if (index > -1) list.splice(index, 1);
+  }
+}
+
 /*
  * Shopify Common JS
  *
@@ -358,6 +509,58 @@ Shopify.postLink = function (path, options) {
   document.body.removeChild(form);
 };
 
+Shopify.formatMoney = function (cents, format) {
+  if (typeof cents == 'string') cents = cents.replace('.', '');
+  var value = '';
+  var placeholderRegex = /\{\{\s*(\w+)\s*\}\}/;
+  var formatString = format || (window.theme && window.theme.moneyFormat) || '${{amount}}';
+
+  function formatWithDelimiters(number, precision, thousands, decimal) {
+    thousands = thousands || ',';
+    decimal = decimal || '.';
+    if (isNaN(number) || number == null) return 0;
+
+    number = (number / 100.0).toFixed(precision);
+    var parts = number.split('.');
+    var dollars = parts[0].replace(/(\d)(?=(\d\d\d)+(?!\d))/g, '$1' + thousands);
+    var cents = parts[1] ? decimal + parts[1] : '';
+    return dollars + cents;
+  }
+
+  var placeholder = formatString.match(placeholderRegex);
+  // A format without a placeholder has nowhere to put the amount, show the plain amount instead
+  if (!placeholder) return formatWithDelimiters(cents, 2);
+
+  switch (placeholder[1]) {
+    case 'amount':
+      value = formatWithDelimiters(cents, 2);
+      break;
+    case 'amount_no_decimals':
+      value = formatWithDelimiters(cents, 0);
+      break;
+    case 'amount_with_comma_separator':
+      value = formatWithDelimiters(cents, 2, '.', ',');
+      break;
+    case 'amount_no_decimals_with_comma_separator':
+      value = formatWithDelimiters(cents, 0, '.', ',');
+      break;
+    case 'amount_with_space_separator':
+      value = formatWithDelimiters(cents, 2, ' ', ',');
+      break;
+    case 'amount_no_decimals_with_space_separator':
+      value = formatWithDelimiters(cents, 0, ' ');
+      break;
+    case 'amount_with_period_and_space_separator':
+      value = formatWithDelimiters(cents, 2, ' ', '.');
+      break;
+    case 'amount_with_apostrophe_separator':
+      value = formatWithDelimiters(cents, 2, "'", '.');
+      break;
+  }
+
+  return formatString.replace(placeholderRegex, value);
+};
+
 Shopify.CountryProvinceSelector = function (country_domid, province_domid, options) {
   this.countryEl = document.getElementById(country_domid);
   this.provinceEl = document.getElementById(province_domid);
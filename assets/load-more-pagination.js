@@ -0,0 +1,185 @@
+/*
+ * Load more pagination
+ *
+ * Adds the items of the next or previous page of a product grid, taken from the grid section rendered for that
+ * page, when its link is pressed or, with data-infinite, when the controls scroll into view. The URL keeps the
+ * last page loaded, and the history entry records the pages loaded and the scroll position, so that coming back
+ * to it from a product page loads the same items and scrolls to where the shopper left. The entry also keeps the
+ * search params of its URL, which facet filtering renders when the shopper goes back to it.
+ */
+if (!customElements.get('load-more-pagination')) {
+  customElements.define(
+    'load-more-pagination',
+    class LoadMorePagination extends HTMLElement {
+      constructor() {
+        super();
+
+        this.container = this.closest('.collection');
+        this.list = this.container.querySelector('.product-grid');
+        this.nextLink = this.querySelector('[data-load-more-next]');
+        this.previousLink = this.container.querySelector('[data-load-more-previous]');
+        this.progress = this.querySelector('[data-load-more-progress]');
+        this.spinner = this.querySelector('.loading__spinner');
+
+        this.firstPage = parseInt(this.dataset.page);
+        this.lastPage = this.firstPage;
+        this.pageSize = parseInt(this.dataset.pageSize);
+        this.itemCount = parseInt(this.dataset.itemCount);
+
+        this.onPageHide = this.saveState.bind(this);
+        this.nextLink?.addEventListener('click', this.onLinkClick.bind(this));
+        this.previousLink?.addEventListener('click', this.onLinkClick.bind(this));
+        // Links inside the grid lead to product pages, remember where the shopper was before leaving
+        this.container.addEventListener('click', (event) => {
+          if (event.target.closest('.product-grid a')) this.saveState();
+        });
+      }
+
+      connectedCallback() {
+        window.addEventListener('pagehide', this.onPageHide);
+        this.restoreState().then(() => {
+          if (this.dataset.infinite === 'true') this.observeNextLink();
+        });
+      }
+
+      disconnectedCallback() {
+        window.removeEventListener('pagehide', this.onPageHide);
+        this.observer?.disconnect();
+      }
+
+      onLinkClick(event) {
+        event.preventDefault();
+        const previous = event.currentTarget === this.previousLink;
+        this.loadPage(previous ? this.firstPage - 1 : this.lastPage + 1, previous).then((items) => {
+          if (!items) return;
+          this.updateUrl();
+          // Continue from the first item added, keyboard users would otherwise start over from the top
+          items[previous ? items.length - 1 : 0]?.querySelector('a')?.focus({ preventScroll: !previous });
+        });
+      }
+
+      observeNextLink() {
+        if (!this.nextLink) return;
+
+        this.observer = new IntersectionObserver(
+          (entries) => {
+            if (!entries[0].isIntersecting || this.loading) return;
+            this.loadPage(this.lastPage + 1, false).then((items) => {
+              if (items) this.updateUrl();
+            });
+          },
+          { rootMargin: '0px 0px 400px 0px' }
+        );
+        this.observer.observe(this.nextLink);
+      }
+
+      getPageUrl(page) {
+        const url = new URL(window.location.href);
+        url.searchParams.set('page', page);
+        return url;
+      }
+
+      // Adds the items of the page to the grid and resolves with them, or with null when it failed
+      loadPage(page, previous) {
+        if (this.loading) return Promise.resolve(null);
+
+        this.loading = true;
+        this.classList.add('loading');
+        this.spinner.classList.remove('hidden');
+        this.setAttribute('aria-busy', true);
+
+        const url = this.getPageUrl(page);
+        url.searchParams.set('section_id', this.dataset.sectionId);
+
+        return fetch(url)
+          .then((response) => {
+            if (!response.ok) throw new Error(`Load more request failed: ${response.status}`);
+            return response.text();
+          })
+          .then((responseText) => {
+            const html = new DOMParser().parseFromString(responseText, 'text/html');
+            const items = Array.from(html.querySelector('.product-grid')?.children || []);
+            items.forEach((item) => item.classList.add('scroll-trigger--cancel'));
+
+            if (previous) {
+              this.prependItems(items);
+              this.firstPage = page;
+              if (page > 1) {
+                this.previousLink.href = this.getPageUrl(page - 1).toString();
+              } else {
+                this.previousLink?.parentElement.remove();
+                this.previousLink = null;
+              }
+            } else {
+              this.list.append(...items);
+              this.lastPage = page;
+              if (html.querySelector('[data-load-more-next]')) {
+                this.nextLink.href = this.getPageUrl(page + 1).toString();
+              } else {
+                this.observer?.disconnect();
+                this.nextLink.remove();
+                this.nextLink = null;
+              }
+            }
+
+            this.renderProgress();
+            return items;
+          })
+          .catch((error) => {
+            console.error(error);
+            this.progress.textContent = this.dataset.errorText;
+            return null;
+          })
+          .finally(() => {
+            this.loading = false;
+            this.classList.remove('loading');
+            this.spinner.classList.add('hidden');
+            this.removeAttribute('aria-busy');
+          });
+      }
+
+      // Keeps the items in view where they are while the page above them is added
+      prependItems(items) {
+        const heightBefore = document.documentElement.scrollHeight;
+        this.list.prepend(...items);
+        window.scrollBy(0, document.documentElement.scrollHeight - heightBefore);
+      }
+
+      renderProgress() {
+        const shown = Math.min(this.lastPage * this.pageSize, this.itemCount);
+        this.progress.textContent = this.dataset.progressText
+          .replace('[shown]', shown)
+          .replace('[count]', this.itemCount);
+      }
+
+      updateUrl() {
+        const url = this.getPageUrl(this.lastPage);
+        if (this.lastPage === 1) url.searchParams.delete('page');
+        history.replaceState(this.getHistoryState(url), '', url.toString());
+      }
+
+      getHistoryState(url = new URL(window.location.href)) {
+        return {
+          ...history.state,
+          searchParams: url.searchParams.toString(),
+          loadMore: { firstPage: this.firstPage, lastPage: this.lastPage, scrollY: window.scrollY },
+        };
+      }
+
+      saveState() {
+        history.replaceState(this.getHistoryState(), '');
+      }
+
+      // The page is rendered at the last page loaded, add the pages that came before it in the history entry
+      async restoreState() {
+        const state = history.state?.loadMore;
+        if (!state || state.lastPage !== this.lastPage) return;
+
+        for (let page = this.firstPage - 1; page >= state.firstPage; page--) {
+          if (!(await this.loadPage(page, true))) return;
+        }
+        window.scrollTo(0, state.scrollY);
+      }
+    }
+  );
+}
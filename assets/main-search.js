@@ -3,6 +3,22 @@ class MainSearch extends SearchForm {
     super();
     this.allSearchInputs = document.querySelectorAll('input[type="search"]');
     this.setupEventListeners();
+    this.showRewriteNotice();
+  }
+
+  // The search form rewrote the query through the search dictionary, offer the words that were typed
+  showRewriteNotice() {
+    const notice = document.querySelector('[data-search-rewrite]');
+    const originalQuery = new URLSearchParams(window.location.search).get('original_q');
+    if (!notice || !originalQuery) return;
+
+    const link = notice.querySelector('[data-search-original]');
+    const url = new URL(link.href, window.location.origin);
+    url.searchParams.set('q', originalQuery);
+    url.searchParams.set('options[prefix]', 'last');
+    link.href = url.toString();
+    notice.querySelector('[data-search-original-terms]').textContent = originalQuery;
+    notice.hidden = false;
   }
 
   setupEventListeners() {
@@ -1,12 +1,36 @@
+/*
+ * Results cache shared by every predictive-search on the page and kept in sessionStorage for the visit.
+ * Entries are keyed by the query as SearchDictionary normalizes it (case, diacritics and spacing) and are
+ * evicted least recently used first.
+ */
+class PredictiveSearchCache extends SessionCache {
+  static shared = new PredictiveSearchCache('predictive-search-cache', 20);
+
+  set(key, term, markup) {
+    super.set(key, { term, markup });
+  }
+
+  // The entry for the longest cached query that the given query starts with
+  findByPrefix(key) {
+    let match = null;
+    this.entries.forEach((entry, entryKey) => {
+      if (key.startsWith(entryKey) && (!match || entryKey.length > match.key.length)) match = { key: entryKey, entry };
+    });
+    return match?.entry || null;
+  }
+}
+
 class PredictiveSearch extends SearchForm {
   constructor() {
     super();
-    this.cachedResults = {};
+    this.cache = PredictiveSearchCache.shared;
     this.predictiveSearchResults = this.querySelector('[data-predictive-search]');
-    this.allPredictiveSearchInstances = document.querySelectorAll('predictive-search');
     this.isOpen = false;
     this.abortController = new AbortController();
     this.searchTerm = '';
+    this.suggestionsTemplate = this.querySelector('template[data-predictive-search-suggestions]');
+    this.recentSearchTemplate = this.querySelector('template[data-recent-search-item]');
+    this.showingSuggestions = false;
 
     this.setupEventListeners();
   }
@@ -18,6 +42,7 @@ class PredictiveSearch extends SearchForm {
     this.addEventListener('focusout', this.onFocusOut.bind(this));
     this.addEventListener('keyup', this.onKeyup.bind(this));
     this.addEventListener('keydown', this.onKeydown.bind(this));
+    this.predictiveSearchResults.addEventListener('click', this.onResultsClick.bind(this));
   }
 
   getQuery() {
@@ -27,6 +52,11 @@ class PredictiveSearch extends SearchForm {
   onChange() {
     super.onChange();
     const newSearchTerm = this.getQuery();
+    if (this.showingSuggestions && newSearchTerm.length) {
+      this.showingSuggestions = false;
+      this.querySelector('#predictive-search-results')?.remove();
+    }
+
     if (!this.searchTerm || !newSearchTerm.startsWith(this.searchTerm)) {
       // Remove the results when they are no longer relevant for the new search term
       // so they don't show up when the dropdown opens again
@@ -40,6 +70,7 @@ class PredictiveSearch extends SearchForm {
 
     if (!this.searchTerm.length) {
       this.close(true);
+      if (this.contains(document.activeElement)) this.showSuggestions();
       return;
     }
 
@@ -47,7 +78,25 @@ class PredictiveSearch extends SearchForm {
   }
 
   onFormSubmit(event) {
-    if (!this.getQuery().length || this.querySelector('[aria-selected="true"] a')) event.preventDefault();
+    if (!this.getQuery().length || this.querySelector('[aria-selected="true"] a')) {
+      event.preventDefault();
+      return;
+    }
+
+    this.saveRecentSearch(this.getQuery());
+  }
+
+  onResultsClick(event) {
+    const removeButton = event.target.closest('[data-remove-recent-search]');
+    if (removeButton) {
+      event.preventDefault();
+      this.removeRecentSearch(removeButton.closest('li'));
+      this.input.focus();
+      return;
+    }
+
+    const queryLink = event.target.closest('[data-search-query]');
+    if (queryLink) this.saveRecentSearch(queryLink.dataset.searchQuery);
   }
 
   onFormReset(event) {
@@ -63,7 +112,10 @@ class PredictiveSearch extends SearchForm {
   onFocus() {
     const currentSearchTerm = this.getQuery();
 
-    if (!currentSearchTerm.length) return;
+    if (!currentSearchTerm.length) {
+      this.showSuggestions();
+      return;
+    }
 
     if (this.searchTerm !== currentSearchTerm) {
       // Search term was changed from other search input, treat it as a user change
@@ -82,10 +134,15 @@ class PredictiveSearch extends SearchForm {
   }
 
   onKeyup(event) {
-    if (!this.getQuery().length) this.close(true);
+    if (!this.getQuery().length && !this.showingSuggestions) this.close(true);
     event.preventDefault();
 
     switch (event.code) {
+      case 'Delete':
+        if (this.showingSuggestions) {
+          this.removeRecentSearch(this.querySelector('.predictive-search__list-item--recent[aria-selected="true"]'));
+        }
+        break;
       case 'ArrowUp':
         this.switchOption('up');
         break;
@@ -108,8 +165,8 @@ class PredictiveSearch extends SearchForm {
   updateSearchForTerm(previousTerm, newTerm) {
     const searchForTextElement = this.querySelector('[data-predictive-search-search-for-text]');
     const currentButtonText = searchForTextElement?.innerText;
-    if (currentButtonText) {
-      if (currentButtonText.match(new RegExp(previousTerm, 'g')).length > 1) {
+    if (currentButtonText && previousTerm !== newTerm) {
+      if (currentButtonText.split(previousTerm).length !== 2) {
         // The new term matches part of the button text and not just the search term, do not replace to avoid mistakes
         return;
       }
@@ -167,16 +224,101 @@ class PredictiveSearch extends SearchForm {
     if (selectedOption) selectedOption.click();
   }
 
+  // Shown while the field is focused and empty: recent searches from localStorage and the trending searches setting
+  showSuggestions() {
+    if (!this.suggestionsTemplate) return;
+
+    const suggestions = this.suggestionsTemplate.content.firstElementChild.cloneNode(true);
+    const recentSearchesList = suggestions.querySelector('[data-recent-searches-list]');
+    const recentSearches = this.getRecentSearches();
+
+    recentSearches.forEach((query, index) => {
+      const item = this.recentSearchTemplate.content.firstElementChild.cloneNode(true);
+      const link = item.querySelector('[data-search-query]');
+      const removeButton = item.querySelector('[data-remove-recent-search]');
+
+      item.id = `predictive-search-option-recent-${index + 1}`;
+      item.dataset.query = query;
+      link.href = `${routes.search_url}?q=${encodeURIComponent(query)}&options%5Bprefix%5D=last`;
+      link.dataset.searchQuery = query;
+      link.querySelector('.predictive-search__item-heading').textContent = query;
+      removeButton.setAttribute('aria-label', removeButton.dataset.label.replace('[query]', query));
+      recentSearchesList.appendChild(item);
+    });
+    suggestions.querySelector('[data-recent-searches]').hidden = recentSearches.length === 0;
+
+    const optionCount = suggestions.querySelectorAll('[role="option"]').length;
+    if (!optionCount) {
+      this.close();
+      return;
+    }
+
+    this.predictiveSearchResults.innerHTML = '';
+    this.predictiveSearchResults.appendChild(suggestions);
+    this.input.setAttribute('aria-activedescendant', '');
+    this.showingSuggestions = true;
+    this.removeAttribute('results');
+
+    this.statusElement = this.statusElement || this.querySelector('.predictive-search-status');
+    this.setLiveRegionText(suggestions.dataset.suggestionsText.replace('[number]', optionCount));
+    this.open();
+  }
+
+  getRecentSearches() {
+    try {
+      const recentSearches = JSON.parse(localStorage.getItem('recent-searches'));
+      return Array.isArray(recentSearches) ? recentSearches.filter((query) => typeof query === 'string') : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  setRecentSearches(recentSearches) {
+    try {
+      localStorage.setItem('recent-searches', JSON.stringify(recentSearches));
+    } catch (e) {
+      // Without storage there are no recent searches to show
+    }
+  }
+
+  saveRecentSearch(query) {
+    const term = query.trim();
+    if (!term) return;
+
+    const recentSearches = this.getRecentSearches().filter(
+      (recentSearch) => recentSearch.toLowerCase() !== term.toLowerCase()
+    );
+    this.setRecentSearches([term, ...recentSearches].slice(0, 5));
+  }
+
+  removeRecentSearch(item) {
+    if (!item) return;
+
+    const query = item.dataset.query;
+    const removeButton = item.querySelector('[data-remove-recent-search]');
+    this.setRecentSearches(this.getRecentSearches().filter((recentSearch) => recentSearch !== query));
+
+    this.showSuggestions();
+    this.setLiveRegionText(removeButton.dataset.removedText.replace('[query]', query));
+  }
+
   getSearchResults(searchTerm) {
-    const queryKey = searchTerm.replace(' ', '-').toLowerCase();
+    const queryKey = SearchDictionary.normalize(searchTerm);
+    const query = SearchDictionary.rewrite(searchTerm) || searchTerm;
     this.setLiveRegionLoadingState();
 
-    if (this.cachedResults[queryKey]) {
-      this.renderSearchResults(this.cachedResults[queryKey]);
+    const cachedEntry = this.cache.get(queryKey);
+    if (cachedEntry) {
+      this.renderSearchResults(cachedEntry.markup);
+      this.updateSearchForTerm(cachedEntry.term, searchTerm);
       return;
     }
 
-    fetch(`${routes.predictive_search_url}?q=${encodeURIComponent(searchTerm)}&section_id=predictive-search`, {
+    // Show a shorter query's results narrowed down to this one while the request is in flight
+    const prefixEntry = this.cache.findByPrefix(queryKey);
+    if (prefixEntry) this.renderProvisionalResults(prefixEntry, SearchDictionary.normalize(query), searchTerm);
+
+    fetch(`${routes.predictive_search_url}?q=${encodeURIComponent(query)}&section_id=predictive-search`, {
       signal: this.abortController.signal,
     })
       .then((response) => {
@@ -192,11 +334,11 @@ class PredictiveSearch extends SearchForm {
         const resultsMarkup = new DOMParser()
           .parseFromString(text, 'text/html')
           .querySelector('#shopify-section-predictive-search').innerHTML;
-        // Save bandwidth keeping the cache in all instances synced
-        this.allPredictiveSearchInstances.forEach((predictiveSearchInstance) => {
-          predictiveSearchInstance.cachedResults[queryKey] = resultsMarkup;
-        });
+        this.cache.set(queryKey, query, resultsMarkup);
+        // A later query has already replaced this one
+        if (SearchDictionary.normalize(this.searchTerm) !== queryKey) return;
         this.renderSearchResults(resultsMarkup);
+        this.updateSearchForTerm(query, searchTerm);
       })
       .catch((error) => {
         if (error?.code === 20) {
@@ -208,6 +350,26 @@ class PredictiveSearch extends SearchForm {
       });
   }
 
+  renderProvisionalResults(entry, queryKey, searchTerm) {
+    const html = new DOMParser().parseFromString(entry.markup, 'text/html');
+    const words = queryKey.split(' ');
+
+    html.querySelectorAll('.predictive-search__results-list').forEach((list) => {
+      list.querySelectorAll('li[role="option"]').forEach((option) => {
+        const text = SearchDictionary.normalize(option.textContent);
+        if (!words.every((word) => text.includes(word))) option.remove();
+      });
+      if (!list.querySelector('li[role="option"]')) list.parentElement.remove();
+    });
+    if (!html.querySelector('li[role="option"]')) return;
+
+    // Stays in the loading state and is not announced, the request's results replace it
+    this.showingSuggestions = false;
+    this.predictiveSearchResults.innerHTML = html.body.innerHTML;
+    this.updateSearchForTerm(entry.term, searchTerm);
+    this.open();
+  }
+
   setLiveRegionLoadingState() {
     this.statusElement = this.statusElement || this.querySelector('.predictive-search-status');
     this.loadingText = this.loadingText || this.getAttribute('data-loading-text');
@@ -226,6 +388,7 @@ class PredictiveSearch extends SearchForm {
   }
 
   renderSearchResults(resultsMarkup) {
+    this.showingSuggestions = false;
     this.predictiveSearchResults.innerHTML = resultsMarkup;
     this.setAttribute('results', true);
 
@@ -261,6 +424,7 @@ class PredictiveSearch extends SearchForm {
       this.input.value = '';
       this.removeAttribute('results');
     }
+    this.showingSuggestions = false;
     const selected = this.querySelector('[aria-selected="true"]');
 
     if (selected) selected.setAttribute('aria-selected', false);
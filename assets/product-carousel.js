@@ -0,0 +1,158 @@
+/*
+ * Product carousel
+ *
+ * A SliderComponent that pages through product cards. The track scrolls natively, so touch swipes and
+ * trackpads work without extra handlers, and CSS decides how many cards fit per breakpoint; pages and
+ * dots are rebuilt whenever the track is resized. Autoplay (data-autoplay, data-speed in seconds) never
+ * starts when the visitor prefers reduced motion, pauses while the carousel is hovered or focused, and
+ * can be stopped with the pause control.
+ */
+if (!customElements.get('product-carousel')) {
+  customElements.define(
+    'product-carousel',
+    class ProductCarousel extends SliderComponent {
+      constructor() {
+        super();
+        if (!this.slider || !this.nextButton) return;
+
+        this.pagination = this.querySelector('[data-carousel-pagination]');
+        this.autoplayButton = this.querySelector('[data-carousel-autoplay]');
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.autoplayEnabled = this.dataset.autoplay === 'true';
+        this.autoplaySpeed = (parseFloat(this.dataset.speed) || 5) * 1000;
+        this.userPaused = false;
+        this.isHovered = false;
+        this.hasFocus = false;
+
+        // SliderComponent sets up the pages before the pagination element is known
+        this.renderPagination();
+        this.updatePagination();
+
+        if (this.autoplayEnabled) this.initAutoplay();
+      }
+
+      disconnectedCallback() {
+        clearInterval(this.autoplay);
+      }
+
+      initPages() {
+        super.initPages();
+        if (!this.sliderItemOffset) return;
+
+        this.slidesPerPage = Math.max(1, this.slidesPerPage);
+        this.prevButton.dataset.step = this.slidesPerPage;
+        this.nextButton.dataset.step = this.slidesPerPage;
+
+        const pageCount = Math.ceil(this.sliderItemsToShow.length / this.slidesPerPage);
+        if (pageCount !== this.pageCount) {
+          this.pageCount = pageCount;
+          this.renderPagination();
+        }
+        this.updatePagination();
+      }
+
+      update() {
+        super.update();
+        this.updatePagination();
+      }
+
+      // Page shown, counting the last page as reached once the track can scroll no further
+      getCurrentPage() {
+        const maxScroll = this.slider.scrollWidth - this.slider.clientWidth;
+        if (this.slider.scrollLeft >= maxScroll - 1) return this.pageCount - 1;
+        return Math.round(this.slider.scrollLeft / (this.sliderItemOffset * this.slidesPerPage));
+      }
+
+      goToPage(page) {
+        this.setSlidePosition(page * this.slidesPerPage * this.sliderItemOffset);
+      }
+
+      renderPagination() {
+        if (!this.pagination) return;
+
+        this.pagination.innerHTML = '';
+        this.pagination.hidden = this.pageCount < 2;
+
+        for (let page = 0; page < this.pageCount; page++) {
+          const dot = document.createElement('button');
+          dot.type = 'button';
+          dot.className = 'carousel-dot-enhanced';
+          dot.setAttribute(
+            'aria-label',
+            `${this.pagination.dataset.labelPage} ${page + 1} ${this.pagination.dataset.labelOf} ${this.pageCount}`
+          );
+          dot.setAttribute('aria-controls', this.slider.id);
+          dot.addEventListener('click', () => this.goToPage(page));
+          this.pagination.appendChild(dot);
+        }
+      }
+
+      updatePagination() {
+        if (!this.pagination || !this.pageCount) return;
+
+        const currentPage = this.getCurrentPage();
+        this.pagination.querySelectorAll('.carousel-dot-enhanced').forEach((dot, index) => {
+          dot.classList.toggle('carousel-dot-enhanced--active', index === currentPage);
+          if (index === currentPage) {
+            dot.setAttribute('aria-current', true);
+          } else {
+            dot.removeAttribute('aria-current');
+          }
+        });
+      }
+
+      initAutoplay() {
+        this.addEventListener('mouseenter', () => {
+          this.isHovered = true;
+          this.updateAutoplay();
+        });
+        this.addEventListener('mouseleave', () => {
+          this.isHovered = false;
+          this.updateAutoplay();
+        });
+        this.addEventListener('focusin', () => {
+          this.hasFocus = true;
+          this.updateAutoplay();
+        });
+        this.addEventListener('focusout', (event) => {
+          if (this.contains(event.relatedTarget)) return;
+          this.hasFocus = false;
+          this.updateAutoplay();
+        });
+        this.reducedMotion.addEventListener('change', () => this.updateAutoplay());
+
+        if (this.autoplayButton) {
+          this.autoplayButton.hidden = false;
+          this.autoplayButton.addEventListener('click', () => {
+            this.userPaused = !this.userPaused;
+            this.updateAutoplay();
+          });
+        }
+
+        this.updateAutoplay();
+      }
+
+      updateAutoplay() {
+        const playing = !this.userPaused && !this.reducedMotion.matches;
+        const rotating = playing && !this.isHovered && !this.hasFocus;
+
+        clearInterval(this.autoplay);
+        if (rotating) this.autoplay = setInterval(this.autoRotate.bind(this), this.autoplaySpeed);
+        this.slider.setAttribute('aria-live', rotating ? 'off' : 'polite');
+
+        if (this.autoplayButton) {
+          this.autoplayButton.classList.toggle('carousel-autoplay--paused', !playing);
+          this.autoplayButton.setAttribute(
+            'aria-label',
+            playing ? window.accessibilityStrings.pauseSlideshow : window.accessibilityStrings.playSlideshow
+          );
+        }
+      }
+
+      autoRotate() {
+        const nextPage = this.getCurrentPage() + 1;
+        this.goToPage(nextPage < this.pageCount ? nextPage : 0);
+      }
+    }
+  );
+}
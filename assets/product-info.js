@@ -26,6 +26,7 @@ if (!customElements.get('product-info')) {
         );
 
         this.initQuantityHandlers();
+        this.recordView(this.getSelectedVariant(this)?.id);
         this.dispatchEvent(new CustomEvent('product-info:loaded', { bubbles: true }));
       }
 
@@ -169,6 +170,7 @@ if (!customElements.get('product-info')) {
           this.updateOptionValues(html);
           this.updateURL(productUrl, variant?.id);
           this.updateVariantInputs(variant?.id);
+          this.recordView(variant?.id);
 
           if (!variant) {
             this.setUnavailable();
@@ -230,6 +232,12 @@ if (!customElements.get('product-info')) {
         window.history.replaceState({}, '', `${url}${variantId ? `?variant=${variantId}` : ''}`);
       }
 
+      // Only the product page's own product-info is history, not quick views or featured products
+      recordView(variantId) {
+        if (this.dataset.updateUrl !== 'true' || typeof RecentlyViewed === 'undefined') return;
+        RecentlyViewed.record(this.dataset.productHandle, variantId);
+      }
+
       setUnavailable() {
         this.productForm?.toggleSubmitButton(true, window.variantStrings.unavailable);
 
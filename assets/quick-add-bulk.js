@@ -121,23 +121,24 @@ if (!customElements.get('quick-add-bulk')) {
           sections_url: this.getSectionsUrl(),
         });
 
-        fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
+        CartStore.predict('quick-add', (cart) => CartStore.withVariantQuantities(cart, items));
+
+        CartClient.request(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
           .then((response) => {
             return response.text();
           })
           .then((state) => {
             const parsedState = JSON.parse(state);
+            if (parsedState.errors || parsedState.status) {
+              this.handleUpdateError(parsedState.errors || parsedState.description);
+              return;
+            }
             this.renderSections(parsedState, ids);
             publish(PUB_SUB_EVENTS.cartUpdate, { source: 'quick-add', cartData: parsedState });
           })
-          .catch(() => {
-            // Commented out for now and will be fixed when BE issue is done https://github.com/Shopify/shopify/issues/440605
-            // e.target.setCustomValidity(error);
-            // e.target.reportValidity();
-            // this.resetQuantityInput(ids[index]);
-            // this.selectProgressBar().classList.add('hidden');
-            // e.target.select();
-            // this.cleanErrorMessageOnType(e);
+          .catch((e) => {
+            console.error(e);
+            this.handleUpdateError();
           })
           .finally(() => {
             this.selectProgressBar().classList.add('hidden');
@@ -145,6 +146,21 @@ if (!customElements.get('quick-add-bulk')) {
           });
       }
 
+      // Drops the predicted cart, announces the error and puts the quantity back to what the cart holds
+      handleUpdateError(message = window.cartStrings.error) {
+        CartStore.rollback('quick-add');
+
+        const status = document.getElementById(`QuickAddBulkStatus-${this.sectionId}`);
+        if (status) status.textContent = message;
+
+        this.onCartUpdate()
+          .then(() => {
+            this.listenForActiveInput();
+            this.listenForKeydown();
+          })
+          .catch(() => {});
+      }
+
       getSectionsToRender() {
         return [
           {
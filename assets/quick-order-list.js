@@ -338,10 +338,18 @@ if (!customElements.get('quick-order-list')) {
         this.updateMessage();
         this.setErrorMessage();
 
-        fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
+        CartStore.predict(this.id, (cart) => CartStore.withVariantQuantities(cart, items));
+
+        CartClient.request(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
           .then((response) => response.text())
           .then(async (state) => {
             const parsedState = JSON.parse(state);
+            if (parsedState.errors || parsedState.status) {
+              CartStore.rollback(this.id);
+              this.setErrorMessage(parsedState.errors || parsedState.description || window.cartStrings.error);
+              return;
+            }
+            CartQueue.supersede('update', { updates: items });
             this.renderSections(parsedState);
             publish(PUB_SUB_EVENTS.cartUpdate, {
               source: this.id,
@@ -349,7 +357,13 @@ if (!customElements.get('quick-order-list')) {
             });
           })
           .catch((e) => {
+            if (CartQueue.isOfflineError(e)) {
+              CartQueue.enqueue('update', { updates: items });
+              return;
+            }
+
             console.error(e);
+            CartStore.rollback(this.id);
             this.setErrorMessage(window.cartStrings.error);
           })
           .finally(() => {
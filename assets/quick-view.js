@@ -0,0 +1,86 @@
+/*
+ * Quick view
+ *
+ * Opens products in a quick-add-modal when a card's [data-quick-view] button dispatches `quickview:open`.
+ * The modal loads the product page's product-info element, so variant switching, the media gallery and
+ * product-form work as they do on the product page. Arrow keys and the modal's previous and next buttons
+ * move through the quick view buttons of the grid the product was opened from. Sections with product cards
+ * render the <quick-view> element that holds the modal template, see snippets/quick-view-modal.liquid.
+ */
+if (!customElements.get('quick-view')) {
+  class QuickView extends HTMLElement {
+    static modal = null;
+    static opener = null;
+
+    static open(opener) {
+      const modal = QuickView.getModal(opener);
+      if (!modal || opener.getAttribute('aria-disabled') === 'true') return;
+
+      QuickView.opener = opener;
+      QuickView.updateNavigation();
+      modal.show(opener);
+    }
+
+    static step(direction) {
+      const openers = QuickView.getOpeners(QuickView.opener);
+      const next = openers[openers.indexOf(QuickView.opener) + direction];
+      if (next) QuickView.open(next);
+    }
+
+    // Quick view buttons of the opener's grid, in page order
+    static getOpeners(opener) {
+      const grid = opener.closest('ul') || opener.closest('.shopify-section');
+      return grid ? Array.from(grid.querySelectorAll('[data-quick-view][data-product-url]')) : [opener];
+    }
+
+    static updateNavigation() {
+      const openers = QuickView.getOpeners(QuickView.opener);
+      const index = openers.indexOf(QuickView.opener);
+
+      QuickView.modal.navigation.hidden = openers.length < 2;
+      QuickView.modal.previousButton.disabled = index <= 0;
+      QuickView.modal.nextButton.disabled = index >= openers.length - 1;
+    }
+
+    // The modal is created in the opener's section, modal-dialog then moves it to the body
+    static getModal(opener) {
+      if (QuickView.modal) return QuickView.modal;
+
+      const template = document.querySelector('quick-view > template');
+      const section = opener.closest('.shopify-section');
+      if (!template || !section || !customElements.get('quick-add-modal')) return null;
+
+      const modal = template.content.firstElementChild.cloneNode(true);
+      section.appendChild(modal);
+
+      modal.navigation = modal.querySelector('.quick-view-modal__navigation');
+      modal.previousButton = modal.querySelector('[data-quick-view-previous]');
+      modal.nextButton = modal.querySelector('[data-quick-view-next]');
+      modal.previousButton.addEventListener('click', () => QuickView.step(-1));
+      modal.nextButton.addEventListener('click', () => QuickView.step(1));
+      modal.addEventListener('keydown', QuickView.onKeyDown);
+
+      QuickView.modal = modal;
+      return modal;
+    }
+
+    static onKeyDown(event) {
+      if (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight') return;
+      // Arrow keys already move through variant options, sliders and text
+      if (event.target.closest('input, select, textarea, [contenteditable], slider-component')) return;
+
+      event.preventDefault();
+      QuickView.step(event.key === 'ArrowLeft' ? -1 : 1);
+    }
+  }
+  customElements.define('quick-view', QuickView);
+
+  document.addEventListener('quickview:open', (event) => {
+    const opener =
+      event.target instanceof Element
+        ? event.target.closest('[data-quick-view]')
+        : document.querySelector(`[data-quick-view="${CSS.escape(String(event.detail?.productId))}"]`);
+
+    if (opener) QuickView.open(opener);
+  });
+}
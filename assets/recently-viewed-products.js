@@ -0,0 +1,85 @@
+if (!customElements.get('recently-viewed-products')) {
+  customElements.define(
+    'recently-viewed-products',
+    class RecentlyViewedProducts extends HTMLElement {
+      constructor() {
+        super();
+
+        this.grid = this.querySelector('[data-recently-viewed-grid]');
+      }
+
+      connectedCallback() {
+        this.render();
+      }
+
+      async render() {
+        const limit = parseInt(this.dataset.limit) || 4;
+        const items = RecentlyViewed.items.filter(
+          (item) => this.dataset.excludeCurrent !== 'true' || item.handle !== this.dataset.currentHandle
+        );
+
+        // Only as many products as are still missing are fetched at a time, in history order, so products that
+        // are gone or hidden make room for the next ones
+        const cards = [];
+        let next = 0;
+        while (cards.length < limit && next < items.length) {
+          const batch = items.slice(next, next + limit - cards.length);
+          next += batch.length;
+
+          const fetched = await Promise.all(batch.map((item) => this.fetchCard(item)));
+          cards.push(
+            ...fetched.filter(
+              (card) => card && (this.dataset.hideSoldOut !== 'true' || card.dataset.available === 'true')
+            )
+          );
+        }
+
+        this.grid.replaceChildren(...cards);
+        this.hidden = this.grid.children.length === 0;
+      }
+
+      // Renders the card through this section's file on the product's own page, so it is the card-product snippet
+      async fetchCard({ handle, variantId }) {
+        const url = new URL(
+          `${window.Shopify.routes.root}products/${encodeURIComponent(handle)}`,
+          window.location.origin
+        );
+        url.searchParams.set('section_id', this.dataset.sectionFile);
+        if (variantId) url.searchParams.set('variant', variantId);
+
+        try {
+          const response = await fetch(url);
+          // Products that were deleted or unpublished leave the history
+          if (response.status === 404) {
+            RecentlyViewed.remove(handle);
+            return null;
+          }
+          if (!response.ok) throw new Error(`Recently viewed request failed: ${response.status}`);
+
+          const html = new DOMParser().parseFromString(await response.text(), 'text/html');
+          const template = html.querySelector('template[data-recently-viewed-card]');
+          if (!template) return null;
+
+          const source = template.content.firstElementChild;
+          const card = document.createElement('li');
+          card.className = source.className;
+          card.dataset.available = source.dataset.available;
+          HTMLUpdateUtility.setInnerHTML(card, source.innerHTML);
+          if (variantId) this.linkToVariant(card, variantId);
+          return card;
+        } catch (error) {
+          console.error(error);
+          return null;
+        }
+      }
+
+      linkToVariant(card, variantId) {
+        card.querySelectorAll('a[href*="/products/"]').forEach((link) => {
+          const url = new URL(link.href, window.location.origin);
+          url.searchParams.set('variant', variantId);
+          link.href = url.toString();
+        });
+      }
+    }
+  );
+}
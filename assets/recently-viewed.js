@@ -0,0 +1,44 @@
+/*
+ * Recently viewed
+ *
+ * Product pages record the viewed product handle and variant here. The history is kept in localStorage,
+ * newest first, capped at MAX_ITEMS entries, and entries older than MAX_AGE are dropped when it is read.
+ */
+class RecentlyViewed {
+  static STORAGE_KEY = 'recently-viewed';
+  static MAX_ITEMS = 12;
+  static MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+  static get items() {
+    let items;
+    try {
+      items = JSON.parse(localStorage.getItem(RecentlyViewed.STORAGE_KEY));
+    } catch (e) {
+      return [];
+    }
+    if (!Array.isArray(items)) return [];
+
+    const oldest = Date.now() - RecentlyViewed.MAX_AGE;
+    return items.filter((item) => item && typeof item.handle === 'string' && item.viewedAt > oldest);
+  }
+
+  static record(handle, variantId = null) {
+    if (!handle) return;
+
+    const items = RecentlyViewed.items.filter((item) => item.handle !== handle);
+    items.unshift({ handle, variantId, viewedAt: Date.now() });
+    RecentlyViewed.#write(items.slice(0, RecentlyViewed.MAX_ITEMS));
+  }
+
+  static remove(handle) {
+    RecentlyViewed.#write(RecentlyViewed.items.filter((item) => item.handle !== handle));
+  }
+
+  static #write(items) {
+    try {
+      localStorage.setItem(RecentlyViewed.STORAGE_KEY, JSON.stringify(items));
+    } catch (e) {
+      // Without storage there is no history to show
+    }
+  }
+}
@@ -1,3 +1,67 @@
+/*
+ * Merchant dictionary from the search_dictionary theme setting, one rule per line:
+ *
+ *   t-shirt: tee, tshirt, t shirt
+ *
+ * Searches for any of the words or phrases after the colon, misspellings and synonyms alike, are
+ * rewritten to the term before it.
+ */
+class SearchDictionary {
+  static #rules = null;
+
+  static normalize(query) {
+    return query
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Variants with the most words first, so phrases win over the single words in them
+  static get rules() {
+    if (!SearchDictionary.#rules) {
+      SearchDictionary.#rules = (window.searchSettings?.dictionary || '')
+        .split('\n')
+        .flatMap((line) => {
+          const [term, variants] = line.split(':');
+          if (!variants || !term.trim()) return [];
+          return variants
+            .split(',')
+            .map((variant) => SearchDictionary.normalize(variant))
+            .filter(Boolean)
+            .map((variant) => ({ words: variant.split(' '), term: term.trim() }));
+        })
+        .sort((a, b) => b.words.length - a.words.length);
+    }
+    return SearchDictionary.#rules;
+  }
+
+  // The rewritten query, or null when no rule applies
+  static rewrite(query) {
+    const typedWords = query.trim().split(/\s+/);
+    const words = typedWords.map((word) => SearchDictionary.normalize(word));
+    const rewritten = [];
+    let changed = false;
+
+    for (let i = 0; i < words.length; ) {
+      const rule = SearchDictionary.rules.find((rule) =>
+        rule.words.every((word, offset) => words[i + offset] === word)
+      );
+      if (rule) {
+        rewritten.push(rule.term);
+        i += rule.words.length;
+        changed = changed || SearchDictionary.normalize(rule.term) !== rule.words.join(' ');
+      } else {
+        rewritten.push(typedWords[i]);
+        i++;
+      }
+    }
+
+    return changed ? rewritten.join(' ') : null;
+  }
+}
+
 class SearchForm extends HTMLElement {
   constructor() {
     super();
@@ -5,6 +69,11 @@ class SearchForm extends HTMLElement {
     this.resetButton = this.querySelector('button[type="reset"]');
 
     if (this.input) {
+      // Listening on this element runs after the form's own submit listeners, which may cancel the search
+      if (!this.input.form.hasAttribute('data-search-dictionary')) {
+        this.input.form.setAttribute('data-search-dictionary', '');
+        this.addEventListener('submit', this.onSearchSubmit.bind(this));
+      }
       this.input.form.addEventListener('reset', this.onFormReset.bind(this));
       this.input.addEventListener(
         'input',
@@ -28,6 +97,29 @@ class SearchForm extends HTMLElement {
     this.toggleResetButton();
   }
 
+  // Searches through the dictionary's term and keeps what was typed in original_q for the results page
+  onSearchSubmit(event) {
+    if (event.defaultPrevented) return;
+
+    const form = event.target;
+    const rewritten = SearchDictionary.rewrite(this.input.value);
+    let originalInput = form.querySelector('input[name="original_q"]');
+
+    if (!rewritten) {
+      originalInput?.remove();
+      return;
+    }
+
+    if (!originalInput) {
+      originalInput = document.createElement('input');
+      originalInput.type = 'hidden';
+      originalInput.name = 'original_q';
+      form.appendChild(originalInput);
+    }
+    originalInput.value = this.input.value;
+    this.input.value = rewritten;
+  }
+
   shouldResetForm() {
     return !document.querySelector('[aria-selected="true"] a');
   }
@@ -0,0 +1,111 @@
+/*
+ * Streetwear product card
+ *
+ * Delegated handlers for the buttons of every .streetwear-product-card on the page, including cards added later:
+ * add to cart, quick view, wishlist and compare. Adding goes through CartClient and publishes cartUpdate, or
+ * cartError with the message shown on the card.
+ */
+function addCardProductToCart(button) {
+  if (button.getAttribute('aria-disabled') === 'true') return;
+
+  const productCard = button.closest('.streetwear-product-card');
+  const errorMessage = productCard.querySelector('.streetwear-product-card__error');
+  const buttonText = button.querySelector('span');
+  const variantId = button.dataset.addToCart;
+  const cart = document.querySelector('cart-notification') || document.querySelector('cart-drawer');
+
+  const showError = (message) => {
+    if (!errorMessage) return;
+    errorMessage.textContent = message;
+    errorMessage.hidden = false;
+  };
+
+  button.setAttribute('aria-disabled', true);
+  productCard.classList.add('streetwear-product-card--loading');
+  if (errorMessage) errorMessage.hidden = true;
+
+  const config = fetchConfig('javascript');
+  config.headers['X-Requested-With'] = 'XMLHttpRequest';
+  delete config.headers['Content-Type'];
+
+  const formData = new FormData();
+  formData.append('id', variantId);
+  formData.append('quantity', 1);
+  if (cart) {
+    formData.append(
+      'sections',
+      cart.getSectionsToRender().map((section) => section.id)
+    );
+    formData.append('sections_url', window.location.pathname);
+    cart.setActiveElement(button);
+  }
+  config.body = formData;
+
+  CartClient.request(`${routes.cart_add_url}`, config)
+    .then((response) => response.json())
+    .then((response) => {
+      if (response.status) {
+        publish(PUB_SUB_EVENTS.cartError, {
+          source: 'card-product',
+          productVariantId: variantId,
+          errors: response.errors || response.description,
+          message: response.message,
+        });
+        showError(response.description || response.message);
+        return;
+      } else if (!cart) {
+        window.location = window.routes.cart_url;
+        return;
+      }
+
+      publish(PUB_SUB_EVENTS.cartUpdate, {
+        source: 'card-product',
+        productVariantId: variantId,
+        cartData: response,
+      });
+      cart.renderContents(response);
+      if (cart.classList.contains('is-empty')) cart.classList.remove('is-empty');
+
+      buttonText.textContent = 'Added!';
+      setTimeout(() => {
+        buttonText.textContent = window.variantStrings.addToCart;
+      }, 2000);
+    })
+    .catch(() => {
+      showError(window.cartStrings.error);
+    })
+    .finally(() => {
+      button.removeAttribute('aria-disabled');
+      productCard.classList.remove('streetwear-product-card--loading');
+    });
+}
+
+document.addEventListener('click', (event) => {
+  const addButton = event.target.closest('.streetwear-product-card [data-add-to-cart]');
+  const quickViewButton = event.target.closest('.streetwear-product-card [data-quick-view]');
+  const wishlistButton = event.target.closest('.streetwear-product-card [data-wishlist-toggle]');
+  const compareButton = event.target.closest('.streetwear-product-card [data-compare-toggle]');
+  if (!addButton && !quickViewButton && !wishlistButton && !compareButton) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+
+  if (addButton) {
+    addCardProductToCart(addButton);
+  } else if (quickViewButton) {
+    const productId = quickViewButton.dataset.quickView;
+    quickViewButton.dispatchEvent(new CustomEvent('quickview:open', { bubbles: true, detail: { productId } }));
+  } else if (compareButton) {
+    const { productHandle: handle, productTitle: title, productImage: image } = compareButton.dataset;
+    document.dispatchEvent(new CustomEvent('compare:toggle', { detail: { handle, title, image } }));
+  } else {
+    const productId = wishlistButton.dataset.wishlistToggle;
+    const handle = wishlistButton.dataset.productHandle;
+    document.dispatchEvent(new CustomEvent('wishlist:toggle', { detail: { productId, handle } }));
+
+    wishlistButton.style.transform = 'scale(1.2)';
+    setTimeout(() => {
+      wishlistButton.style.transform = 'scale(1)';
+    }, 200);
+  }
+});
@@ -0,0 +1,128 @@
+if (!customElements.get('wishlist-items')) {
+  customElements.define(
+    'wishlist-items',
+    class WishlistItems extends HTMLElement {
+      constructor() {
+        super();
+
+        this.grid = this.querySelector('[data-wishlist-grid]');
+        this.empty = this.querySelector('[data-wishlist-empty]');
+        this.template = this.querySelector('template');
+        this.products = new Map();
+      }
+
+      connectedCallback() {
+        this.wishlistChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.wishlistChange, () => this.render());
+        this.render();
+      }
+
+      disconnectedCallback() {
+        if (this.wishlistChangeUnsubscriber) {
+          this.wishlistChangeUnsubscriber();
+        }
+      }
+
+      async render() {
+        const handles = Wishlist.handles;
+
+        this.grid.querySelectorAll('[data-handle]').forEach((item) => {
+          if (!handles.includes(item.dataset.handle)) item.remove();
+        });
+
+        await Promise.all(handles.filter((handle) => !this.getItem(handle)).map((handle) => this.addItem(handle)));
+
+        // Newest first, as saved, and only what is still saved once every product has loaded
+        const current = Wishlist.handles;
+        current.forEach((handle) => {
+          const item = this.getItem(handle);
+          if (item) this.grid.appendChild(item);
+        });
+        this.grid.querySelectorAll('[data-handle]').forEach((item) => {
+          if (!current.includes(item.dataset.handle)) item.remove();
+        });
+
+        this.empty.hidden = this.grid.children.length > 0;
+        this.classList.remove('loading');
+      }
+
+      getItem(handle) {
+        return this.grid.querySelector(`[data-handle="${CSS.escape(handle)}"]`);
+      }
+
+      async addItem(handle) {
+        const product = await this.fetchProduct(handle);
+        if (!product || this.getItem(handle)) return;
+
+        const item = this.template.content.firstElementChild.cloneNode(true);
+        item.dataset.handle = handle;
+
+        item.querySelectorAll('[data-wishlist-link]').forEach((link) => (link.href = product.url));
+        item.querySelector('[data-wishlist-title]').textContent = product.title;
+
+        const image = item.querySelector('[data-wishlist-image]');
+        if (product.featured_image) {
+          const src = new URL(product.featured_image, window.location.origin);
+          src.searchParams.set('width', 600);
+          image.src = src.toString();
+          image.alt = product.title;
+        } else {
+          image.remove();
+        }
+
+        const select = item.querySelector('[data-wishlist-variants]');
+        product.variants.forEach((variant) => {
+          const option = new Option(variant.title, variant.id);
+          option.dataset.price = variant.price;
+          option.dataset.available = variant.available;
+          select.appendChild(option);
+        });
+        const firstAvailable = product.variants.find((variant) => variant.available);
+        if (firstAvailable) select.value = firstAvailable.id;
+        if (product.variants.length === 1) select.closest('.select').classList.add('hidden');
+        select.addEventListener('change', () => this.onVariantChange(item));
+
+        item.querySelector('[data-wishlist-remove]').addEventListener('click', () => Wishlist.remove(handle));
+
+        this.grid.appendChild(item);
+        this.onVariantChange(item);
+      }
+
+      onVariantChange(item) {
+        const option = item.querySelector('[data-wishlist-variants]').selectedOptions[0];
+        const productForm = item.querySelector('product-form');
+
+        item.querySelector('[data-wishlist-price]').textContent = Shopify.formatMoney(option.dataset.price);
+        if (option.dataset.available === 'true') {
+          productForm.toggleSubmitButton(false);
+        } else {
+          productForm.toggleSubmitButton(true, window.variantStrings.soldOut);
+        }
+      }
+
+      async fetchProduct(handle) {
+        if (!this.products.has(handle)) {
+          const request = fetch(`${window.Shopify.routes.root}products/${encodeURIComponent(handle)}.js`).then(
+            (response) => {
+              // Products that were deleted or unpublished leave the wishlist
+              if (response.status === 404) {
+                Wishlist.remove(handle);
+                return null;
+              }
+              if (!response.ok) throw new Error(`Product request failed: ${response.status}`);
+              return response.json();
+            }
+          );
+          this.products.set(handle, request);
+        }
+
+        try {
+          return await this.products.get(handle);
+        } catch (error) {
+          console.error(error);
+          this.products.delete(handle);
+          return null;
+        }
+      }
+    }
+  );
+}
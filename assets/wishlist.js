@@ -0,0 +1,200 @@
+/*
+ * Wishlist
+ *
+ * Saves product handles for the heart buttons ([data-wishlist-toggle][data-product-handle]) that
+ * dispatch `wishlist:toggle`. Guests keep their list in localStorage. For logged-in customers the
+ * list lives in the `custom.wishlist` customer metafield (a list of single line text), rendered
+ * into window.wishlistSettings by the layout and written back through the app proxy at SYNC_URL.
+ * Until a change reaches the metafield it is kept in localStorage too, so it survives reloads and
+ * failed syncs. A guest list is merged into the customer's list on the first page after logging in.
+ *
+ * The app proxy is not part of the theme, an app has to provide it (subpath prefix `apps`, subpath `wishlist`):
+ * - It receives POST requests with the JSON body { "handles": ["product-handle", ...] }. Shopify adds the
+ *   `logged_in_customer_id` and `signature` query parameters, the app verifies the signature and refuses
+ *   requests without a customer.
+ * - It replaces the customer's `custom.wishlist` metafield (list.single_line_text_field) with the handles.
+ * - It answers with a 2xx status once the metafield is saved. Any other answer is a failed sync.
+ * Without the proxy every sync fails, and the list then stays on the device.
+ *
+ * Changes are published as wishlistChange: { handles, handle, added }.
+ */
+class Wishlist {
+  static SYNC_URL = '/apps/wishlist';
+  static #guestKey = 'wishlist';
+  static #handles = null;
+  static #syncing = null;
+
+  static get settings() {
+    return window.wishlistSettings || {};
+  }
+
+  static get storageKey() {
+    return Wishlist.settings.customerId ? `wishlist-${Wishlist.settings.customerId}` : Wishlist.#guestKey;
+  }
+
+  static get handles() {
+    if (!Wishlist.#handles) Wishlist.#handles = Wishlist.#load();
+    return [...Wishlist.#handles];
+  }
+
+  static has(handle) {
+    return Wishlist.handles.includes(handle);
+  }
+
+  static toggle(handle) {
+    return Wishlist.has(handle) ? Wishlist.remove(handle) : Wishlist.add(handle);
+  }
+
+  static add(handle) {
+    if (!handle || Wishlist.has(handle)) return false;
+
+    Wishlist.#update([handle, ...Wishlist.handles], handle, true);
+    return true;
+  }
+
+  static remove(handle) {
+    if (!Wishlist.has(handle)) return false;
+
+    Wishlist.#update(
+      Wishlist.handles.filter((savedHandle) => savedHandle !== handle),
+      handle,
+      false
+    );
+    return true;
+  }
+
+  static renderButtons(root = document) {
+    root.querySelectorAll('[data-wishlist-toggle][data-product-handle]').forEach((button) => {
+      const saved = Wishlist.has(button.dataset.productHandle);
+      button.classList.toggle('is-wishlisted', saved);
+      button.setAttribute('aria-pressed', saved);
+
+      const label = saved ? button.dataset.removeLabel : button.dataset.saveLabel;
+      if (label) button.setAttribute('aria-label', label);
+    });
+  }
+
+  // Customers' lists are sent to the metafield store. A failed sync is not retried on its own, only with
+  // the next change or page, so a missing or failing proxy does not get a request every few hundred ms.
+  static sync() {
+    if (!Wishlist.settings.customerId) return Promise.resolve();
+    if (Wishlist.#syncing) return Wishlist.#syncing;
+
+    const handles = Wishlist.handles;
+    Wishlist.#syncing = fetch(Wishlist.SYNC_URL, {
+      ...fetchConfig(),
+      body: JSON.stringify({ handles }),
+    })
+      .then((response) => {
+        if (!response.ok) throw new Error(`Wishlist sync failed: ${response.status}`);
+        Wishlist.settings.handles = handles;
+        Wishlist.#syncing = null;
+        // Changes made while the request was in flight go out next
+        if (Wishlist.isDirty()) {
+          Wishlist.debouncedSync();
+        } else {
+          Wishlist.#write(null);
+        }
+      })
+      .catch(() => {
+        // The list stays in localStorage until a sync succeeds
+        Wishlist.#syncing = null;
+      });
+
+    return Wishlist.#syncing;
+  }
+
+  static debouncedSync = debounce(() => Wishlist.sync(), ON_CHANGE_DEBOUNCE_TIMER);
+
+  // Whether the customer's metafield is behind the list on this device
+  static isDirty() {
+    const saved = Wishlist.settings.handles || [];
+    const handles = Wishlist.handles;
+    return saved.length !== handles.length || handles.some((handle) => !saved.includes(handle));
+  }
+
+  static #load() {
+    if (!Wishlist.settings.customerId) return Wishlist.#parse(Wishlist.#storedValue(Wishlist.#guestKey));
+
+    // Changes from this device that have not synced yet win over the metafield
+    const unsynced = Wishlist.#storedValue(Wishlist.storageKey);
+    const handles = unsynced ? Wishlist.#parse(unsynced) : [...(Wishlist.settings.handles || [])];
+    Wishlist.#parse(Wishlist.#storedValue(Wishlist.#guestKey)).forEach((handle) => {
+      if (!handles.includes(handle)) handles.push(handle);
+    });
+
+    try {
+      localStorage.removeItem(Wishlist.#guestKey);
+    } catch (e) {}
+
+    Wishlist.#handles = handles;
+    if (Wishlist.isDirty()) Wishlist.#write(handles);
+    return handles;
+  }
+
+  static #storedValue(key) {
+    try {
+      return localStorage.getItem(key);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  static #parse(value) {
+    try {
+      const handles = JSON.parse(value);
+      return Array.isArray(handles) ? handles : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static #write(handles) {
+    try {
+      if (handles) {
+        localStorage.setItem(Wishlist.storageKey, JSON.stringify(handles));
+      } else {
+        localStorage.removeItem(Wishlist.storageKey);
+      }
+    } catch (e) {
+      // Without storage the list lasts until the page unloads, or until it syncs for customers
+    }
+  }
+
+  static #update(handles, handle, added) {
+    Wishlist.#handles = handles;
+    Wishlist.#write(handles);
+
+    Wishlist.renderButtons();
+    Wishlist.debouncedSync();
+    publish(PUB_SUB_EVENTS.wishlistChange, { handles: Wishlist.handles, handle, added });
+  }
+
+  // Picks up a change made in another tab
+  static reload(value) {
+    if (Wishlist.settings.customerId && value === null) {
+      // The other tab synced the list this tab already holds
+      Wishlist.settings.handles = Wishlist.handles;
+      return;
+    }
+
+    Wishlist.#handles = Wishlist.#parse(value);
+    Wishlist.renderButtons();
+    publish(PUB_SUB_EVENTS.wishlistChange, { handles: Wishlist.handles, handle: null, added: null });
+  }
+}
+
+document.addEventListener('wishlist:toggle', (event) => {
+  Wishlist.toggle(event.detail?.handle);
+});
+
+window.addEventListener('storage', (event) => {
+  if (event.key === Wishlist.storageKey) Wishlist.reload(event.newValue);
+});
+
+document.addEventListener('shopify:section:load', (event) => Wishlist.renderButtons(event.target));
+
+document.addEventListener('DOMContentLoaded', () => {
+  Wishlist.renderButtons();
+  if (Wishlist.isDirty()) Wishlist.sync();
+});
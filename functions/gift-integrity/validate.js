@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * Offline validator for the signed free gift claims written by assets/free-gift-threshold.js.
+ *
+ * Checks every free gift line of a cart against the `_gift_claims` cart attribute and returns
+ * the discount function result that would make the valid gifts free. Accepts either the AJAX
+ * cart JSON (`/cart.js`) or the discount function input described by run.graphql.
+ *
+ * Usage:
+ *   GIFT_SIGNING_SECRET=... node functions/gift-integrity/validate.js cart.json
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const CLAIM_ATTRIBUTE = '_gift_claims';
+const DEFAULT_MAX_AGE_SECONDS = 60 * 60 * 24 * 7;
+const CLOCK_SKEW_SECONDS = 5 * 60;
+
+function signClaim(claim, secret) {
+  const message = [claim.variant_id, claim.tier, claim.threshold, claim.issued_at].join('|');
+  return crypto.createHmac('sha256', secret).update(message).digest('hex');
+}
+
+function signaturesMatch(expected, actual) {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const actualBuffer = Buffer.from(String(actual), 'hex');
+  return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+// Brings both cart shapes to { claims, lines } with amounts in cents
+function normalizeCart(input) {
+  if (Array.isArray(input.items)) {
+    return {
+      claims: input.attributes?.[CLAIM_ATTRIBUTE],
+      lines: input.items.map((item) => ({
+        id: item.key,
+        variantId: String(item.variant_id),
+        quantity: item.quantity,
+        subtotal: item.final_line_price,
+        isGift: item.properties?._is_free_gift === 'true',
+        isExcluded: item.properties?._is_free_sample === 'true' || item.gift_card === true,
+      })),
+    };
+  }
+
+  const cart = input.cart || input;
+  return {
+    claims: cart.giftClaims?.value,
+    lines: cart.lines.map((line) => ({
+      id: line.id,
+      variantId: String(line.merchandise.id).split('/').pop(),
+      quantity: line.quantity,
+      subtotal: toCents(line.cost.subtotalAmount.amount),
+      isGift: line.isFreeGift?.value === 'true',
+      isExcluded: line.isFreeSample?.value === 'true' || line.merchandise.product?.isGiftCard === true,
+    })),
+  };
+}
+
+function parseClaims(value) {
+  try {
+    const parsed = JSON.parse(value || '{}');
+    return Array.isArray(parsed.gifts) ? parsed.gifts : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Validates the free gift lines of a cart.
+ * @param {Object} input AJAX cart JSON or discount function input
+ * @param {Object} options
+ * @param {String} options.secret Signing secret set on the free gift section
+ * @param {Number} [options.maxAgeSeconds] Oldest claim accepted
+ * @param {Number} [options.now] Current Unix timestamp, for tests and replays
+ * @returns {{ valid: Object[], rejected: Object[] }} Gift lines with their claim or rejection reason
+ */
+function validateGiftClaims(input, { secret, maxAgeSeconds = DEFAULT_MAX_AGE_SECONDS, now } = {}) {
+  if (!secret) throw new Error('A signing secret is required');
+
+  const currentTime = now ?? Math.floor(Date.now() / 1000);
+  const { claims, lines } = normalizeCart(input);
+  const unusedClaims = parseClaims(claims);
+
+  // Gift lines and excluded lines never count toward the threshold
+  const qualifyingSubtotal = lines
+    .filter((line) => !line.isGift && !line.isExcluded)
+    .reduce((total, line) => total + line.subtotal, 0);
+
+  const valid = [];
+  const rejected = [];
+
+  lines
+    .filter((line) => line.isGift)
+    .forEach((line) => {
+      const claimIndex = unusedClaims.findIndex((claim) => String(claim.variant_id) === line.variantId);
+      const claim = unusedClaims[claimIndex];
+      let reason = null;
+
+      if (!claim) {
+        reason = 'missing_claim';
+      } else if (!signaturesMatch(signClaim(claim, secret), claim.signature)) {
+        reason = 'invalid_signature';
+      } else if (claim.issued_at > currentTime + CLOCK_SKEW_SECONDS || currentTime - claim.issued_at > maxAgeSeconds) {
+        reason = 'expired_claim';
+      } else if (qualifyingSubtotal < claim.threshold) {
+        reason = 'below_threshold';
+      } else if (line.quantity !== 1) {
+        reason = 'invalid_quantity';
+      }
+
+      // Each claim covers a single gift line
+      if (claim) unusedClaims.splice(claimIndex, 1);
+
+      if (reason) {
+        rejected.push({ line: line.id, variantId: line.variantId, reason });
+      } else {
+        valid.push({ line: line.id, variantId: line.variantId, claim });
+      }
+    });
+
+  return { valid, rejected };
+}
+
+// Discount function output that makes every valid gift line free
+function buildDiscountResult({ valid }) {
+  if (valid.length === 0) {
+    return { discountApplicationStrategy: 'FIRST', discounts: [] };
+  }
+
+  return {
+    discountApplicationStrategy: 'FIRST',
+    discounts: [
+      {
+        message: 'Free gift',
+        targets: valid.map(({ line }) => ({ cartLine: { id: line } })),
+        value: { percentage: { value: '100.0' } },
+      },
+    ],
+  };
+}
+
+module.exports = { CLAIM_ATTRIBUTE, signClaim, validateGiftClaims, buildDiscountResult };
+
+if (require.main === module) {
+  const [file] = process.argv.slice(2);
+  if (!file) {
+    console.error('Usage: GIFT_SIGNING_SECRET=... node validate.js <cart.json>');
+    process.exit(2);
+  }
+
+  const input = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const result = validateGiftClaims(input, {
+    secret: process.env.GIFT_SIGNING_SECRET,
+    maxAgeSeconds: process.env.GIFT_MAX_AGE_SECONDS ? parseInt(process.env.GIFT_MAX_AGE_SECONDS) : undefined,
+    now: process.env.GIFT_NOW ? parseInt(process.env.GIFT_NOW) : undefined,
+  });
+
+  console.log(JSON.stringify({ ...result, discount: buildDiscountResult(result) }, null, 2));
+  process.exit(result.rejected.length > 0 ? 1 : 0);
+}